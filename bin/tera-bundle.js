@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// requires
+const fs = require('fs');
+
+const bundle = require('../lib/bundle');
+const protocol = require('../lib/protocol');
+const sysmsg = require('../lib/sysmsg');
+
+// constants
+const USAGE = `usage: tera-bundle [tera-data path] [--out <bundle.json>]
+
+Serializes all protocol maps, definitions and sysmsg maps from tera-data into
+a single bundle file, which can be passed to load() in place of tera-data.
+Defaults to the installed tera-data package and writes to stdout.
+`;
+
+// main
+const args = process.argv.slice(2);
+let basePath;
+let outFile;
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '-h' || arg === '--help') {
+    process.stdout.write(USAGE);
+    process.exit(0);
+  } else if (arg === '-o' || arg === '--out') {
+    outFile = args[++i];
+  } else if (basePath === undefined) {
+    basePath = arg;
+  } else {
+    process.stderr.write(USAGE);
+    process.exit(1);
+  }
+}
+
+const protocolInstance = protocol.createInstance();
+const sysmsgInstance = sysmsg.createInstance();
+protocolInstance.load(basePath);
+sysmsgInstance.load(basePath);
+
+const json = JSON.stringify(bundle.create({ protocol: protocolInstance, sysmsg: sysmsgInstance }));
+if (outFile) {
+  fs.writeFileSync(outFile, json);
+} else {
+  process.stdout.write(`${json}\n`);
+}
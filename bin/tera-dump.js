@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// requires
+const protocol = require('../lib/protocol');
+
+// constants
+const USAGE = `usage: tera-dump [options] <protocol version> [name or opcode]
+
+Reads a message as hex from stdin (whitespace is ignored) and prints an
+annotated hex dump of it. The message must include its header; if no name or
+opcode is given, the opcode in the header is used.
+
+options:
+  --data <path>     path to tera-data (defaults to the installed package)
+  --def <version>   definition version (defaults to the latest)
+`;
+
+function usage(code) {
+  (code ? process.stderr : process.stdout).write(USAGE);
+  process.exit(code);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+// main
+const args = process.argv.slice(2);
+const positional = [];
+let basePath;
+let definitionVersion = '*';
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  switch (arg) {
+    case '-h':
+    case '--help': usage(0); break;
+    case '--data': basePath = args[++i]; break;
+    case '--def': definitionVersion = parseInt(args[++i], 10); break;
+    default: positional.push(arg); break;
+  }
+}
+
+if (positional.length < 1 || positional.length > 2) usage(1);
+
+const version = parseInt(positional[0], 10);
+if (isNaN(version) || (definitionVersion !== '*' && isNaN(definitionVersion))) usage(1);
+
+let identifier = (positional.length > 1) ? positional[1] : null;
+if (identifier !== null && /^\d+$/.test(identifier)) identifier = parseInt(identifier, 10);
+
+readStdin()
+  .then((input) => {
+    const hex = input.replace(/\s+/g, '');
+    if (hex.length === 0 || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+      throw new Error('stdin must contain an even number of hex digits');
+    }
+
+    const instance = protocol.createInstance();
+    instance.load(basePath);
+    process.stdout.write(instance.dump(version, identifier, definitionVersion, Buffer.from(hex, 'hex')));
+  })
+  .catch((err) => {
+    process.stderr.write(`tera-dump: ${err.message}\n`);
+    process.exit(1);
+  });
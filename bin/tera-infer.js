@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// requires
+const fs = require('fs');
+const infer = require('../lib/protocol/infer');
+
+// constants
+const USAGE = `usage: tera-infer [file...]
+
+Reads captured messages as hex, one per line, from the given files (or stdin)
+and prints a draft .def for them. Every message must include its header and
+have the same opcode. Blank lines and lines starting with # are ignored.
+`;
+
+function usage(code) {
+  (code ? process.stderr : process.stdout).write(USAGE);
+  process.exit(code);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+// main
+const files = process.argv.slice(2);
+if (files.some(arg => arg === '-h' || arg === '--help')) usage(0);
+
+const input = (files.length > 0)
+  ? Promise.resolve().then(() => files.map(file => fs.readFileSync(file, 'utf8')).join('\n'))
+  : readStdin();
+
+input
+  .then((text) => {
+    const packets = text.split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, '').replace(/\s+/g, ''))
+      .filter(line => line.length > 0)
+      .map((hex, i) => {
+        if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+          throw new Error(`message ${i + 1} is not an even number of hex digits`);
+        }
+        return Buffer.from(hex, 'hex');
+      });
+
+    process.stdout.write(infer.formatDefinition(infer.inferDefinition(packets), packets.length));
+  })
+  .catch((err) => {
+    process.stderr.write(`tera-infer: ${err.message}\n`);
+    process.exit(1);
+  });
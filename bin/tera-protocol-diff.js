@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// requires
+const protocol = require('../lib/protocol');
+const diff = require('../lib/protocol/diff');
+
+// constants
+const USAGE = `usage: tera-protocol-diff [options] <from> <to>
+       tera-protocol-diff [options] --def <name> <from> <to>
+
+Compares the opcode maps of two protocol versions (and the latest two
+definitions of each message), or two versions of a single definition.
+
+options:
+  --data <path>  path to tera-data (defaults to the installed package)
+  --json         print JSON instead of text
+`;
+
+function usage(code) {
+  (code ? process.stderr : process.stdout).write(USAGE);
+  process.exit(code);
+}
+
+// main
+const args = process.argv.slice(2);
+const positional = [];
+let basePath;
+let json = false;
+let defName;
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  switch (arg) {
+    case '-h':
+    case '--help': usage(0); break;
+    case '--data': basePath = args[++i]; break;
+    case '--json': json = true; break;
+    case '--def': defName = args[++i]; break;
+    default: positional.push(arg); break;
+  }
+}
+
+if (positional.length !== 2) usage(1);
+
+const [from, to] = positional.map(v => parseInt(v, 10));
+if (isNaN(from) || isNaN(to)) usage(1);
+
+const instance = protocol.createInstance();
+instance.load(basePath);
+
+try {
+  if (defName) {
+    const versions = instance.messages.get(defName);
+    if (!versions) throw new Error(`no definitions found for message "${defName}"`);
+    if (!versions.has(from)) throw new Error(`no definition found for ${defName}<${from}>`);
+    if (!versions.has(to)) throw new Error(`no definition found for ${defName}<${to}>`);
+
+    const result = diff.diffDefinitions(versions.get(from), versions.get(to));
+    if (json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+      const lines = diff.formatDefinitionDiff(result);
+      process.stdout.write(`${[`${defName} ${from} -> ${to}`, ...lines].join('\n')}\n`);
+    }
+  } else {
+    const report = diff.diffProtocol(instance, from, to);
+    process.stdout.write(json ? `${JSON.stringify(report, null, 2)}\n` : diff.formatDiff(report));
+  }
+} catch (err) {
+  process.stderr.write(`tera-protocol-diff: ${err.message}\n`);
+  process.exit(1);
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// requires
+const fs = require('fs');
+
+const protocol = require('../lib/protocol');
+const generateTypings = require('../lib/protocol/typings');
+
+// constants
+const USAGE = `usage: tera-typings [tera-data path] [--out <file.d.ts>]
+
+Generates TypeScript declarations for every message definition in tera-data.
+Defaults to the installed tera-data package and writes to stdout.
+`;
+
+// main
+const args = process.argv.slice(2);
+let basePath;
+let outFile;
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '-h' || arg === '--help') {
+    process.stdout.write(USAGE);
+    process.exit(0);
+  } else if (arg === '-o' || arg === '--out') {
+    outFile = args[++i];
+  } else if (basePath === undefined) {
+    basePath = arg;
+  } else {
+    process.stderr.write(USAGE);
+    process.exit(1);
+  }
+}
+
+const instance = protocol.createInstance();
+instance.load(basePath);
+
+const typings = generateTypings(instance);
+if (outFile) {
+  fs.writeFileSync(outFile, typings);
+} else {
+  process.stdout.write(typings);
+}
@@ -0,0 +1,66 @@
+const fs = require('fs');
+
+// helper functions
+const promisify = fn => (...args) => new Promise((resolve, reject) => {
+  fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+// exports
+/**
+ * Maps `items` through the promise-returning `fn`, running at most `limit`
+ * calls at once.
+ * @param {Array} items
+ * @param {Number} limit
+ * @param {Function} fn Called as `fn(item, index)`.
+ * @returns {Promise<Array>} The results, in the same order as `items`.
+ * Rejects if `limit` is not an integer of at least 1.
+ */
+function mapLimit(items, limit, fn) {
+  return new Promise((resolve, reject) => {
+    if (!Number.isInteger(limit) || limit < 1) {
+      reject(new Error(`[async] mapLimit - limit must be an integer >= 1, got ${limit}`));
+      return;
+    }
+
+    const results = new Array(items.length);
+    let next = 0;
+    let running = 0;
+    let failed = false;
+
+    function run(index) {
+      running++;
+
+      Promise.resolve()
+        .then(() => fn(items[index], index))
+        .then((result) => {
+          results[index] = result;
+          running--;
+          launch(); // eslint-disable-line no-use-before-define
+        }, (err) => {
+          failed = true;
+          reject(err);
+        });
+    }
+
+    function launch() {
+      if (failed) return;
+
+      if (next >= items.length && running === 0) {
+        resolve(results);
+        return;
+      }
+
+      while (running < limit && next < items.length) {
+        run(next++);
+      }
+    }
+
+    launch();
+  });
+}
+
+module.exports = {
+  mapLimit,
+  readdir: promisify(fs.readdir),
+  readFile: promisify(fs.readFile),
+};
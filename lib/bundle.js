@@ -0,0 +1,170 @@
+// requires
+const fs = require('fs');
+const path = require('path');
+
+const { readFile } = require('./async');
+
+// constants
+const FORMAT = 'tera-data-bundle';
+const VERSION = 1;
+
+// helper functions
+// default and constant values (`[key, type, options]`) are kept as is
+function serializeDefinition(definition) {
+  return definition.map(([key, type, ...rest]) => [
+    key,
+    Array.isArray(type) ? { type: type.type, fields: serializeDefinition(type) } : type,
+    ...rest,
+  ]);
+}
+
+function deserializeDefinition(fields, type = 'root') {
+  const definition = fields.map(([key, t, ...rest]) => [
+    key,
+    (t !== null && typeof t === 'object') ? deserializeDefinition(t.fields, t.type) : t,
+    ...rest,
+  ]);
+  definition.type = type;
+  return definition;
+}
+
+// both directions are stored, since duplicate entries can make them disagree
+function serializeMap(map) {
+  return { name: [...map.name], code: [...map.code] };
+}
+
+function deserializeMap(data) {
+  return { name: new Map(data.name), code: new Map(data.code) };
+}
+
+function validate(bundle, source) {
+  if (!bundle || bundle.format !== FORMAT) {
+    throw new Error(`[bundle] ${source} is not a tera-data bundle`);
+  }
+
+  if (bundle.version !== VERSION) {
+    throw new Error(`[bundle] ${source} has unsupported version ${bundle.version} (expected ${VERSION})`);
+  }
+
+  return bundle;
+}
+
+// exports
+/**
+ * Serializes everything loaded into a `TeraProtocol` and/or `TeraSysmsg`
+ * instance into a single JSON-compatible bundle object.
+ * @param {Object} instances
+ * @param {TeraProtocol} [instances.protocol]
+ * @param {TeraSysmsg} [instances.sysmsg]
+ * @returns {Object}
+ */
+function create({ protocol, sysmsg }) {
+  const bundle = { format: FORMAT, version: VERSION };
+
+  if (protocol) {
+    bundle.protocol = {
+      maps: [...protocol.maps].map(([version, map]) => [version, serializeMap(map)]),
+      messages: [...protocol.messages].map(([name, versions]) => [
+        name,
+        [...versions].map(([version, definition]) => [version, serializeDefinition(definition)]),
+      ]),
+      versions: protocol.versions || [],
+      enums: [...(protocol.enums || [])].map(([name, declaration]) => [
+        name,
+        { type: declaration.type, values: [...declaration.name] },
+      ]),
+    };
+  }
+
+  if (sysmsg) {
+    bundle.sysmsg = {
+      maps: [...sysmsg.maps].map(([version, map]) => [version, serializeMap(map)]),
+      versions: sysmsg.versions || [],
+    };
+  }
+
+  return bundle;
+}
+
+/**
+ * Checks whether `source` should be loaded as a bundle rather than as a
+ * tera-data directory: either a bundle object, or a path to a file other than
+ * tera-data's `package.json`.
+ * @param {String|Object} source
+ * @returns {Boolean}
+ */
+function isBundle(source) {
+  if (source !== null && typeof source === 'object') return true;
+  if (typeof source !== 'string' || path.basename(source) === 'package.json') return false;
+
+  try {
+    return fs.statSync(source).isFile();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reads and validates a bundle.
+ * @param {String|Object} source A bundle object or a path to a bundle file.
+ * @returns {Object}
+ * @throws Errors if `source` is not a supported bundle.
+ */
+function read(source) {
+  if (typeof source !== 'string') return validate(source, '<object>');
+  return validate(JSON.parse(fs.readFileSync(source, 'utf8')), `"${source}"`);
+}
+
+/**
+ * Asynchronous version of `read`.
+ * @param {String|Object} source
+ * @returns {Promise<Object>}
+ */
+function readAsync(source) {
+  if (typeof source !== 'string') {
+    return Promise.resolve().then(() => validate(source, '<object>'));
+  }
+
+  return readFile(source, 'utf8')
+    .then(contents => validate(JSON.parse(contents), `"${source}"`));
+}
+
+/**
+ * Rebuilds the `maps` (and `messages` and `enums`, for protocol data)
+ * structures of a section of a bundle, along with its version manifest
+ * entries.
+ * @param {Object} section `bundle.protocol` or `bundle.sysmsg`.
+ * @returns {Object} `{ maps, messages, versions, enums }`
+ */
+function unpack(section) {
+  const maps = new Map(section.maps.map(([version, map]) => [version, deserializeMap(map)]));
+  const messages = new Map((section.messages || []).map(([name, versions]) => [
+    name,
+    new Map(versions.map(([version, fields]) => [version, deserializeDefinition(fields)])),
+  ]));
+
+  const enums = new Map((section.enums || []).map(([name, { type, values }]) => {
+    const code = new Map();
+    for (const [valueName, value] of values) {
+      if (!code.has(value)) code.set(value, valueName);
+    }
+    return [name, { type, name: new Map(values), code }];
+  }));
+
+  return {
+    maps,
+    messages,
+    versions: section.versions || [],
+    enums,
+  };
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  create,
+  isBundle,
+  read,
+  readAsync,
+  unpack,
+};
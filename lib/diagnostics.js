@@ -0,0 +1,54 @@
+// exports
+/**
+ * Adds a diagnostic to `diagnostics`, if diagnostics are being collected.
+ * @param {Object[]|null} diagnostics
+ * @param {Object} diagnostic
+ * @param {String} diagnostic.severity `error` or `warning`.
+ * @param {String} diagnostic.code Stable identifier, e.g. `malformed-line`.
+ * @param {String} diagnostic.message
+ * @param {String} diagnostic.file Label of the file the problem was found in.
+ * @param {Number} [diagnostic.line] 1-based.
+ * @param {Number} [diagnostic.column] 1-based.
+ */
+function report(diagnostics, { severity, code, message, file, line = null, column = null }) {
+  if (diagnostics) {
+    diagnostics.push({ severity, file, line, column, code, message });
+  }
+}
+
+/**
+ * Formats a diagnostic as `file:line:column: severity: message (code)`.
+ * @param {Object} diagnostic
+ * @returns {String}
+ */
+function format({ severity, file, line, column, code, message }) {
+  let location = file;
+  if (line != null) location += `:${line}`;
+  if (line != null && column != null) location += `:${column}`;
+  return `${location}: ${severity}: ${message} (${code})`;
+}
+
+/**
+ * Throws if any of `diagnostics` is an error.
+ * @param {Object[]} diagnostics
+ * @param {String} prefix Prepended to the error message, e.g. `[protocol] load`.
+ * @throws An Error listing every error, with a `diagnostics` property holding
+ * the full list.
+ */
+function assertNoErrors(diagnostics, prefix) {
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  if (errors.length === 0) return;
+
+  const err = new Error([
+    `${prefix} - ${errors.length} error${(errors.length === 1) ? '' : 's'} found`,
+    ...errors.map(d => `  ${format(d)}`),
+  ].join('\n'));
+  err.diagnostics = diagnostics;
+  throw err;
+}
+
+module.exports = {
+  assertNoErrors,
+  format,
+  report,
+};
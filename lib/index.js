@@ -2,4 +2,8 @@
 module.exports = {
   protocol: require('./protocol'),
   sysmsg: require('./sysmsg'),
+  sources: require('./sources'),
+  parseDefString: require('./parsers/def').parseDefString,
+  parseEnumString: require('./parsers/enum').parseEnumString,
+  parseMapString: require('./parsers/map').parseMapString,
 };
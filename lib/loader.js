@@ -0,0 +1,141 @@
+// requires
+const { mapLimit } = require('./async');
+const bundle = require('./bundle');
+const diagnostics = require('./diagnostics');
+const sources = require('./sources');
+
+// constants
+const DEFAULT_CONCURRENCY = 16;
+
+// exports
+/**
+ * Loading state and asynchronous loading shared by `TeraProtocol` and
+ * `TeraSysmsg`. Subclasses implement `load`, `applyBundle` and `applyLoad`.
+ */
+class Loader {
+  /**
+   * @param {String} label Prefix of error messages, such as `protocol`.
+   * @param {String} subject What "not loaded" errors say can't be used yet.
+   * @param {Function} prepareLoadAsync Given a reader returned by
+   * `sources.asyncReader` and an optional diagnostics array, resolves to
+   * `{ entries, finish }`: the `{ entry, parser }` pairs to read, and a
+   * function turning their parsed results into the arguments of `applyLoad`.
+   */
+  constructor(label, subject, prepareLoadAsync) {
+    this.loaded = false;
+    this.loading = null;
+    this.loadsAsync = false;
+    this.loadError = null;
+
+    Object.defineProperty(this, 'label', { value: label });
+    Object.defineProperty(this, 'subject', { value: subject });
+    Object.defineProperty(this, 'prepareLoadAsync', { value: prepareLoadAsync });
+  }
+
+  /**
+   * Loads tera-data on first use, unless `loadAsync` was called: then lookups
+   * never block, and throw until it succeeds.
+   * @private
+   * @throws Errors if `loadAsync` has not finished yet, or failed. The
+   * failure is attached as `cause`.
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+
+    if (this.loading) {
+      throw new Error(`[${this.label}] not loaded: wait for loadAsync() to finish before using ${this.subject}`);
+    }
+
+    if (this.loadError) {
+      const err = new Error(`[${this.label}] not loaded: loadAsync() failed: ${this.loadError.message}`);
+      err.cause = this.loadError;
+      throw err;
+    }
+
+    if (this.loadsAsync) {
+      throw new Error(`[${this.label}] not loaded: call load() or loadAsync() before using ${this.subject}`);
+    }
+
+    this.load();
+  }
+
+  /**
+   * Marks the instance as loading until `promise` settles.
+   * @private
+   * @param {Promise} promise
+   * @returns {Promise} `promise`
+   */
+  trackLoading(promise) {
+    const settle = (err = null) => {
+      if (this.loading !== promise) return;
+      this.loading = null;
+      this.loadError = err;
+    };
+
+    this.loadsAsync = true;
+    this.loading = promise;
+    this.loadError = null;
+    promise.then(() => settle(), settle);
+    return promise;
+  }
+
+  /**
+   * Asynchronously loads (or reloads) tera-data. Until the first load
+   * finishes, lookups throw instead of loading synchronously; on reloads, the
+   * previous data stays in use until the new data is ready.
+   * @param {String|Object} [basePath] Path to the base package.json, a source
+   * (see `sources`), or a bundle (object or file path) created by `tera-bundle`.
+   * @param {Object} [options]
+   * @param {Number} [options.concurrency] Maximum concurrent file reads.
+   * @param {Function} [options.onProgress] Called with `{ done, total, file }`
+   * after each file is read and parsed.
+   * @param {Boolean} [options.diagnostics] See `load`.
+   * @param {Boolean} [options.strict] See `load`.
+   * @param {String} [options.duplicates] See `load`.
+   * @returns {Promise<Boolean|Object[]>}
+   */
+  loadAsync(basePath = require.resolve('tera-data'), options = {}) {
+    const { concurrency = DEFAULT_CONCURRENCY, onProgress } = options;
+    const problems = (options.diagnostics || options.strict) ? [] : null;
+    const result = () => (options.diagnostics ? problems : true);
+
+    if (!sources.isSource(basePath) && bundle.isBundle(basePath)) {
+      const promise = bundle.readAsync(basePath).then((data) => {
+        this.applyBundle(data);
+        return result();
+      });
+      return this.trackLoading(promise);
+    }
+
+    const reader = sources.asyncReader(sources.resolveSource(basePath));
+
+    const promise = this.prepareLoadAsync(reader, problems).then(({ entries, finish }) => {
+      let done = 0;
+      return mapLimit(entries, concurrency, ({ entry, parser }) =>
+        reader.read(entry.file).then((contents) => {
+          // collected per file, so that the order doesn't depend on timing
+          const fileProblems = problems && [];
+          const parsed = parser(contents, entry.fullpath, {
+            diagnostics: fileProblems,
+            duplicates: options.duplicates,
+          });
+          done++;
+          if (onProgress) onProgress({ done, total: entries.length, file: entry.fullpath });
+          return { parsed, fileProblems };
+        })
+      ).then((results) => {
+        if (problems) results.forEach(({ fileProblems }) => problems.push(...fileProblems));
+
+        const args = finish(results.map(r => r.parsed));
+        if (options.strict) diagnostics.assertNoErrors(problems, `[${this.label}] load`);
+
+        this.applyLoad(...args);
+        return result();
+      });
+    });
+
+    return this.trackLoading(promise);
+  }
+}
+
+module.exports = Loader;
@@ -0,0 +1,172 @@
+// requires
+const log = require('./logger');
+const { report } = require('./diagnostics');
+
+// constants
+const MANIFEST_FILE = 'versions.json';
+
+// helper functions
+const isInteger = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Checks a single manifest entry, returning a description of the first
+ * problem found, if any.
+ * @private
+ * @param {*} entry
+ * @returns {String|null}
+ */
+function checkEntry(entry) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return 'entry must be an object';
+  }
+  if (entry.build == null && entry.patch == null) {
+    return 'entry must have a "build" or a "patch"';
+  }
+  if (entry.build != null && !isInteger(entry.build)) {
+    return '"build" must be a non-negative integer';
+  }
+  if (entry.patch != null && typeof entry.patch !== 'string') {
+    return '"patch" must be a string';
+  }
+  if (entry.protocol == null && entry.sysmsg == null) {
+    return 'entry must have a "protocol" or a "sysmsg" version';
+  }
+  if (entry.protocol != null && !isInteger(entry.protocol)) {
+    return '"protocol" must be a non-negative integer';
+  }
+  if (entry.sysmsg != null && !isInteger(entry.sysmsg)) {
+    return '"sysmsg" must be a non-negative integer';
+  }
+  return null;
+}
+
+/**
+ * Finds the client build number in a parsed `C_CHECK_VERSION` message, i.e.
+ * the value at index 0 of its `version` array.
+ * @private
+ * @param {Object[]} versions
+ * @returns {Number|undefined}
+ */
+function buildFromCheckVersion(versions) {
+  const entry = versions.find(v => v.index === 0);
+  return entry && entry.value;
+}
+
+/**
+ * Describes `clientInfo` for error messages.
+ * @private
+ * @param {Object} query `{ build, patch }`
+ * @returns {String}
+ */
+function describeQuery({ build, patch }) {
+  const parts = [];
+  if (build != null) parts.push(`build ${build}`);
+  if (patch != null) parts.push(`patch "${patch}"`);
+  return parts.join(', ') || 'client';
+}
+
+// exports
+/**
+ * Finds the version manifest in a listing of the root of a source.
+ * @param {Object} reader A reader returned by `sources.syncReader` or
+ * `sources.asyncReader`.
+ * @param {String[]} rootFiles
+ * @returns {Object|null} `{ file, fullpath }`, or `null` if there is none.
+ */
+function findManifest(reader, rootFiles) {
+  if (!rootFiles.includes(MANIFEST_FILE)) return null;
+  return { file: MANIFEST_FILE, fullpath: reader.label(MANIFEST_FILE) };
+}
+
+/**
+ * Parses the contents of a version manifest: a JSON array of entries like
+ * `{ "build": 336578, "patch": "92.03", "protocol": 336578, "sysmsg": 92 }`.
+ * Invalid entries are skipped with a warning.
+ * @param {String} contents
+ * @param {String} [source] Label used in warnings, such as a file path.
+ * @param {Object} [options]
+ * @param {Object[]} [options.diagnostics] If given, problems are also added
+ * to this list (see `diagnostics.report`).
+ * @returns {Object[]} The valid entries.
+ */
+function parseManifestString(contents, source = '<string>', options = {}) {
+  const { diagnostics = null } = options;
+  const problem = (code, message) => {
+    report(diagnostics, { severity: 'error', code, message, file: source });
+    log.warn(`[manifest] parse error: ${message}\n    at "${source}"`);
+  };
+
+  let entries;
+  try {
+    entries = JSON.parse(contents);
+  } catch (err) {
+    problem('invalid-manifest', `invalid JSON (${err.message})`);
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    problem('invalid-manifest', 'manifest must be an array of entries');
+    return [];
+  }
+
+  return entries.filter((entry, i) => {
+    const message = checkEntry(entry);
+    if (message) problem('invalid-manifest-entry', `entry ${i}: ${message}`);
+    return !message;
+  });
+}
+
+/**
+ * Looks up the version of `kind` (`protocol` or `sysmsg`) for a client.
+ * @param {Object[]} entries Parsed manifest entries.
+ * @param {String} kind
+ * @param {Number|String|Object} clientInfo A build number, a patch string,
+ * an object with `build` and/or `patch`, or a parsed `C_CHECK_VERSION`
+ * message (whose `version` array holds the build at index 0).
+ * @returns {Number}
+ * @throws Errors if no entry matches, or the matching entry has no version
+ * for `kind`.
+ */
+function resolveVersion(entries, kind, clientInfo) {
+  let query;
+  if (typeof clientInfo === 'number') {
+    query = { build: clientInfo };
+  } else if (typeof clientInfo === 'string') {
+    query = { patch: clientInfo };
+  } else if (clientInfo !== null && typeof clientInfo === 'object') {
+    query = Array.isArray(clientInfo.version)
+      ? { build: buildFromCheckVersion(clientInfo.version) }
+      : { build: clientInfo.build, patch: clientInfo.patch };
+  } else {
+    throw new TypeError('clientInfo must be a build number, a patch string or an object');
+  }
+
+  if (query.build == null && query.patch == null) {
+    throw new TypeError('clientInfo must have a "build" or a "patch"');
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`[${kind}] resolveVersion - no version manifest loaded (expected "${MANIFEST_FILE}")`);
+  }
+
+  const entry = entries.find(e =>
+    (query.build == null || e.build === query.build) &&
+    (query.patch == null || e.patch === query.patch));
+
+  if (!entry) {
+    throw new Error(`[${kind}] resolveVersion - unknown ${describeQuery(query)}`);
+  }
+
+  if (entry[kind] == null) {
+    throw new Error(`[${kind}] resolveVersion - no ${kind} version for ${describeQuery(query)}`);
+  }
+
+  return entry[kind];
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  findManifest,
+  parseManifestString,
+  resolveVersion,
+};
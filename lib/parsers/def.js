@@ -1,46 +1,224 @@
 const fs = require('fs');
+const Long = require('long');
 const log = require('../logger');
+const { report } = require('../diagnostics');
+const { INTEGER_RANGES } = require('../protocol/compiler');
 
 // helper functions
 const META_TYPES = {
   array: ['count', 'offset'],
   bytes: ['offset', 'count'],
   string: ['offset'],
+  // counted inline arrays (`int32[]`)
+  '[]': ['count', 'offset'],
 };
 
-function pushMetaTypes(base, key, type) {
-  const metaTypes = META_TYPES[type];
+// element types of inline arrays
+const FIXED_TYPES = [
+  'bool', 'byte', 'int8', 'int16', 'uint16', 'int32', 'uint32',
+  'int64', 'uint64', 'float', 'double', 'vec3',
+];
+
+// a line is `[- ...][const ]type[:Enum] name[ value][ if condition]`, and `#`
+// starts a comment unless it is inside a quoted value
+const LINE_PATTERN = /^((?:-\s*)*)(?:(const)\s+)?(\S+)\s+(\S+)(?:\s+("(?:[^"\\]|\\.)*"|(?!if\s)\S+))?(?:\s+if\s+(\S.*))?$/;
+const COMMENT_PATTERN = /^((?:[^#"]|"(?:[^"\\]|\\.)*")*)#.*$/;
+
+/**
+ * Parses the default or constant value of a field.
+ * @private
+ * @param {String} type
+ * @param {String} text
+ * @returns {*} The value. 64-bit integers are kept as decimal strings, so
+ * definitions stay JSON-compatible.
+ * @throws {Error} If the value is malformed or out of range for `type`.
+ */
+function parseValue(type, text) {
+  const range = INTEGER_RANGES[type];
+  if (range) {
+    const match = text.match(/^(-?)(?:0x([0-9a-f]+)|(\d+))$/i);
+    if (!match) throw new Error(`expected an integer for ${type}`);
+
+    const magnitude = match[2] ? parseInt(match[2], 16) : parseInt(match[3], 10);
+    const value = match[1] ? -magnitude : magnitude;
+    if (value < range[0] || value > range[1]) {
+      throw new Error(`out of range for ${type} (${range[0]} to ${range[1]})`);
+    }
+    return value;
+  }
+
+  switch (type) {
+    case 'int64':
+    case 'uint64': {
+      const unsigned = (type === 'uint64');
+      if (!(unsigned ? /^\d+$/ : /^-?\d+$/).test(text)) {
+        throw new Error(`expected ${unsigned ? 'a non-negative' : 'an'} integer for ${type}`);
+      }
+
+      const value = Long.fromString(text, unsigned).toString();
+      if (value !== text.replace(/^(-?)0+(?=\d)/, '$1').replace(/^-0$/, '0')) {
+        throw new Error(`out of range for ${type}`);
+      }
+      return value;
+    }
+
+    case 'float':
+    case 'double': {
+      if (!/^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i.test(text)) {
+        throw new Error(`expected a number for ${type}`);
+      }
+      return Number(text);
+    }
+
+    case 'bool': {
+      if (text !== 'true' && text !== 'false') throw new Error('expected true or false for bool');
+      return text === 'true';
+    }
+
+    case 'string': {
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch (err) {
+        value = null;
+      }
+      if (typeof value !== 'string') throw new Error('expected a double-quoted string');
+      return value;
+    }
+
+    default: {
+      throw new Error(`${type} fields cannot have a default or constant value`);
+    }
+  }
+}
+
+/**
+ * Parses the condition of a field: `protocol <op> <version>`, `key`, `!key`
+ * or `key <op> <value>`, joined with `and`.
+ * @private
+ * @param {String} text
+ * @param {Array} level The fields parsed so far at the level of the field.
+ * @returns {Object[]} `{ subject: 'protocol', op, value }` and
+ * `{ subject: 'field', key, op, value }` conditions.
+ * @throws {Error} If a condition is malformed or refers to an unusable field.
+ */
+function parseConditions(text, level) {
+  return text.split(/\s+and\s+/).map((part) => {
+    if (/^protocol(?:\W|$)/.test(part)) {
+      const version = part.match(/^protocol\s*(==|!=|<=|>=|<|>)\s*(\d+)$/);
+      if (!version) throw new Error(`expected "protocol <op> <version>", got "${part}"`);
+      return { subject: 'protocol', op: version[1], value: Number(version[2]) };
+    }
+
+    const match = part.match(/^(?:(!)(\w+)|(\w+)(?:\s*(==|!=|<=|>=|<|>)\s*(\S+))?)$/);
+    if (!match) throw new Error(`malformed condition "${part}"`);
+
+    const key = match[2] || match[3];
+    const field = level.find(([k, t]) => k === key && !META_TYPES.array.includes(t));
+    if (!field) throw new Error(`unknown field "${key}" (must be an earlier field of the same level)`);
+
+    const [, type] = field;
+    if (!INTEGER_RANGES[type] && !['bool', 'int64', 'uint64'].includes(type)) {
+      throw new Error(`cannot test "${key}" (expected an integer or bool field)`);
+    }
+
+    if (match[1]) return { subject: 'field', key, op: '==', value: false };
+    if (!match[4]) return { subject: 'field', key, op: '!=', value: false };
+
+    let value;
+    if (match[5] === 'true' || match[5] === 'false') {
+      value = (match[5] === 'true');
+    } else {
+      const number = match[5].match(/^(-?)(?:0x([0-9a-f]+)|(\d+))$/i);
+      if (!number) throw new Error(`expected an integer, true or false in "${part}"`);
+      const magnitude = number[2] ? parseInt(number[2], 16) : parseInt(number[3], 10);
+      value = number[1] ? -magnitude : magnitude;
+    }
+    return { subject: 'field', key, op: match[4], value };
+  });
+}
+
+/**
+ * Checks the type of an inline array field, `type[length]` or `type[]`.
+ * @private
+ * @param {String} type
+ * @throws {Error} If the array type is malformed.
+ */
+function checkInlineArray(type) {
+  const match = type.match(/^(\w+)\[(\d*)\]$/);
+  if (!match) throw new Error(`malformed array type "${type}"`);
+  if (!FIXED_TYPES.includes(match[1])) {
+    throw new Error(`cannot make an inline array of ${match[1]} (expected a fixed-size type)`);
+  }
+  const length = Number(match[2]);
+  if (match[2] !== '' && (length < 1 || length > 0xFFFF)) {
+    throw new Error(`invalid length ${match[2]} for "${type}" (expected 1 to 65535)`);
+  }
+}
+
+function pushMetaTypes(base, key, type, when) {
+  const metaTypes = META_TYPES[/\[\]$/.test(type) ? '[]' : type];
   if (!metaTypes) return;
 
-  // get key path
+  // get key path, and the version conditions the metadata must share
   let ref = base;
   const keyPath = [key];
+  let versions = when.filter(condition => condition.subject === 'protocol');
   while (ref.type === 'object') {
     keyPath.unshift(ref.name);
+    versions = ref.versions.concat(versions);
     ref = ref.up;
   }
   const kp = keyPath.join('.');
 
   //
   for (const t of metaTypes) {
-    ref.meta.push([kp, t]);
+    ref.meta.push((versions.length > 0) ? [kp, t, { when: versions }] : [kp, t]);
   }
 }
 
 function flatten(def, implicitMeta = true) {
   const obj = [].concat(
     implicitMeta ? def.meta : [],
-    def.map(([k, t]) => [k, Array.isArray(t) ? flatten(t, implicitMeta) : t])
+    def.map(([k, t, ...rest]) => [k, Array.isArray(t) ? flatten(t, implicitMeta) : t, ...rest])
   );
   obj.type = def.type;
   return obj;
 }
 
 // main
-function parseSync(filepath) {
-  log.trace(`[parsers/def] reading "${filepath}"`);
-
-  const data = fs.readFileSync(filepath, { encoding: 'utf8' }).split(/\r?\n/);
+/**
+ * Parses the contents of a .def file.
+ *
+ * Each line is `type name`, prefixed with one `-` per level of nesting. A
+ * value may follow the name, which is written when the key is missing
+ * (`int32 unk 1`, `string name "x"`). With a leading `const`
+ * (`const int16 version 3`), the value is always written, and checked on
+ * parse. Fields with a value are `[key, type, { default }]` or
+ * `[key, type, { constant }]` in the result.
+ *
+ * `type[length]` is an array of `length` fixed-size values, stored inline,
+ * and `type[]` one whose length and position are given by `count`/`offset`
+ * metadata, like `bytes`. Unlike `array`, their elements have no headers.
+ *
+ * Integer types may name an enum or flags declaration (`uint32:ChatChannel
+ * channel`), which is added as `{ enum }` to the field's options.
+ *
+ * A field may end with `if` and conditions joined with `and`, which are added
+ * as `{ when }` to its options (see `parseConditions`). `protocol >= 336578`
+ * keeps the field only in some protocol versions (along with its metadata),
+ * and `hasGuild` or `kind == 2` keeps it only if an earlier field of the same
+ * level has that value.
+ * @param {String} contents
+ * @param {String} [source] Label used in warnings, such as a file path.
+ * @param {Object} [options]
+ * @param {Object[]} [options.diagnostics] If given, problems are also added
+ * to this list (see `diagnostics.report`).
+ * @returns {Array}
+ */
+function parseDefString(contents, source = '<string>', options = {}) {
+  const { diagnostics = null } = options;
+  const data = contents.split(/\r?\n/);
 
   const definition = [];
   let implicitMeta = true;
@@ -51,24 +229,95 @@ function parseSync(filepath) {
 
   for (let i = 0; i < data.length; i++) {
     // clean line
-    const line = data[i].replace(/#.*$/, '').trim();
+    const line = data[i].replace(COMMENT_PATTERN, '$1').trim();
     if (!line) continue;
 
-    const match = line.match(/^((?:-\s*)*)(\S+)\s+(\S+)$/);
+    const match = line.match(LINE_PATTERN);
     if (!match) {
-      log.warn(`[parsers/def] parse error: malformed line\n    at "${filepath}", line ${i + 1}`);
+      report(diagnostics, {
+        severity: 'error',
+        code: 'malformed-line',
+        message: 'malformed line',
+        file: source,
+        line: i + 1,
+        column: data[i].search(/\S/) + 1,
+      });
+      log.warn(`[parsers/def] parse error: malformed line\n    at "${source}", line ${i + 1}`);
       continue;
     }
 
     const depth = match[1].replace(/[^-]/g, '').length;
-    const type = match[2];
-    const key = match[3];
+    const [, , constant, typeText, key, valueText, conditionText] = match;
+    const [type, enumName] = typeText.split(':', 2);
+
+    let fieldOptions = null;
+    if (valueText !== undefined || constant) {
+      try {
+        if (valueText === undefined) throw new Error('missing constant value');
+        const value = parseValue(type, valueText);
+        fieldOptions = constant ? { constant: value } : { default: value };
+      } catch (err) {
+        report(diagnostics, {
+          severity: 'error',
+          code: 'invalid-value',
+          message: `invalid value for "${key}": ${err.message}`,
+          file: source,
+          line: i + 1,
+          column: data[i].indexOf(line) + 1,
+        });
+        log.warn(`[parsers/def] parse error: invalid value for "${key}": ${err.message}\n    at "${source}", line ${i + 1}`);
+      }
+    }
+
+    if (type.includes('[')) {
+      try {
+        checkInlineArray(type);
+      } catch (err) {
+        report(diagnostics, {
+          severity: 'error',
+          code: 'invalid-array',
+          message: `invalid type for "${key}": ${err.message}`,
+          file: source,
+          line: i + 1,
+          column: data[i].indexOf(typeText) + 1,
+        });
+        log.warn(`[parsers/def] parse error: invalid type for "${key}": ${err.message}\n    at "${source}", line ${i + 1}`);
+        continue;
+      }
+    }
 
     if (implicitMeta && (type === 'count' || type === 'offset')) {
-      log.warn(`[parsers/def] parse warning: "count" or "offset" encountered, disabling implicit metatypes\n    at "${filepath}", line ${i + 1}`);
+      report(diagnostics, {
+        severity: 'warning',
+        code: 'explicit-meta',
+        message: `"${type}" encountered, disabling implicit metatypes`,
+        file: source,
+        line: i + 1,
+        column: data[i].indexOf(line) + match[1].length + 1,
+      });
+      log.warn(`[parsers/def] parse warning: "count" or "offset" encountered, disabling implicit metatypes\n    at "${source}", line ${i + 1}`);
       implicitMeta = false;
     }
 
+    if (enumName !== undefined) {
+      if (INTEGER_RANGES[type] && /^\w+$/.test(enumName)) {
+        fieldOptions = Object.assign({}, fieldOptions, { enum: enumName });
+      } else {
+        const message = INTEGER_RANGES[type]
+          ? `invalid enum name "${enumName}"`
+          : `enums can only be used with integer types, not ${type}`;
+        report(diagnostics, {
+          severity: 'error',
+          code: 'invalid-enum',
+          message,
+          file: source,
+          line: i + 1,
+          column: data[i].indexOf(line) + 1,
+        });
+        log.warn(`[parsers/def] parse error: ${message}\n    at "${source}", line ${i + 1}`);
+      }
+    }
+
     // check if we need to move up or down a level
     // move deeper
     if (depth > level) {
@@ -76,7 +325,15 @@ function parseSync(filepath) {
 
       // sanity check
       if (depth !== level) {
-        log.warn(`[parsers/def] parse warning: array nesting too deep\n    at "${filepath}", line ${i + 1}`);
+        report(diagnostics, {
+          severity: 'error',
+          code: 'nesting-too-deep',
+          message: `array nesting too deep (expected at most ${level}, got ${depth})`,
+          file: source,
+          line: i + 1,
+          column: data[i].indexOf('-') + 1,
+        });
+        log.warn(`[parsers/def] parse warning: array nesting too deep\n    at "${source}", line ${i + 1}`);
       }
 
       // we are defining the subfields for the last field we saw,
@@ -91,8 +348,26 @@ function parseSync(filepath) {
       }
     }
 
+    let when = [];
+    if (conditionText !== undefined) {
+      try {
+        when = parseConditions(conditionText, top);
+        fieldOptions = Object.assign({}, fieldOptions, { when });
+      } catch (err) {
+        report(diagnostics, {
+          severity: 'error',
+          code: 'invalid-condition',
+          message: `invalid condition for "${key}": ${err.message}`,
+          file: source,
+          line: i + 1,
+          column: data[i].indexOf(conditionText) + 1,
+        });
+        log.warn(`[parsers/def] parse error: invalid condition for "${key}": ${err.message}\n    at "${source}", line ${i + 1}`);
+      }
+    }
+
     // append necessary metadata fields
-    pushMetaTypes(top, key, type);
+    pushMetaTypes(top, key, type, when);
 
     // append the field to the current level
     if (type === 'array' || type === 'object') {
@@ -101,13 +376,20 @@ function parseSync(filepath) {
       group.name = key;
       group.up = top;
       group.meta = [];
-      top.push([key, group]);
+      group.versions = when.filter(condition => condition.subject === 'protocol');
+      top.push(fieldOptions ? [key, group, fieldOptions] : [key, group]);
     } else {
-      top.push([key, type]);
+      top.push(fieldOptions ? [key, type, fieldOptions] : [key, type]);
     }
   }
 
   return flatten(definition, implicitMeta);
 }
 
+function parseSync(filepath) {
+  log.trace(`[parsers/def] reading "${filepath}"`);
+  return parseDefString(fs.readFileSync(filepath, { encoding: 'utf8' }), filepath);
+}
+
 module.exports = parseSync;
+module.exports.parseDefString = parseDefString;
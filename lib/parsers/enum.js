@@ -0,0 +1,89 @@
+const fs = require('fs');
+const log = require('../logger');
+const { report } = require('../diagnostics');
+
+// main
+/**
+ * Parses the contents of a .enum or .flags file: one `NAME value` per line,
+ * where the value is a decimal or `0x` hexadecimal integer. Several names may
+ * share a value; the first one is used when decoding. Names defined twice are
+ * warned about, and the later definition is ignored.
+ * @param {String} contents
+ * @param {String} [source] Label used in warnings, such as a file path.
+ * @param {Object} [options]
+ * @param {Object[]} [options.diagnostics] If given, problems are also added
+ * to this list (see `diagnostics.report`).
+ * @returns {Object} `{ name, code }` Maps in both directions, like a map file.
+ */
+function parseEnumString(contents, source = '<string>', options = {}) {
+  const { diagnostics = null } = options;
+  const values = {
+    name: new Map(),
+    code: new Map(),
+  };
+
+  const data = contents.split(/\r?\n/);
+  for (let i = 0; i < data.length; i++) {
+    const line = data[i].replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    // {name} {value}
+    // {name} = {value}
+    const match = line.match(/^(\S+)(?:\s+|\s*=\s*)(\S+)$/);
+    if (!match) {
+      report(diagnostics, {
+        severity: 'error',
+        code: 'malformed-line',
+        message: 'malformed line',
+        file: source,
+        line: i + 1,
+        column: data[i].search(/\S/) + 1,
+      });
+      log.warn(`[parsers/enum] parse error: malformed line\n    at "${source}", line ${i + 1}`);
+      continue;
+    }
+
+    const name = match[1];
+    const hex = match[2].match(/^0x([0-9a-f]+)$/i);
+    const value = hex ? parseInt(hex[1], 16) : Number(match[2]);
+    if (!Number.isSafeInteger(value)) {
+      report(diagnostics, {
+        severity: 'error',
+        code: 'non-numeric-value',
+        message: `non-numeric value "${match[2]}"`,
+        file: source,
+        line: i + 1,
+        column: data[i].indexOf(match[2], data[i].indexOf(line) + match[1].length) + 1,
+      });
+      log.warn(`[parsers/enum] parse error: non-numeric value\n    at "${source}", line ${i + 1}`);
+      continue;
+    }
+
+    if (values.name.has(name)) {
+      const message = `duplicate name "${name}" (first defined as ${values.name.get(name)})`;
+      report(diagnostics, {
+        severity: 'warning',
+        code: 'duplicate-name',
+        message,
+        file: source,
+        line: i + 1,
+        column: data[i].search(/\S/) + 1,
+      });
+      log.warn(`[parsers/enum] parse warning: ${message}\n    at "${source}", line ${i + 1}`);
+      continue;
+    }
+
+    values.name.set(name, value);
+    if (!values.code.has(value)) values.code.set(value, name);
+  }
+
+  return values;
+}
+
+function parseSync(filepath) {
+  log.trace(`[parsers/enum] reading "${filepath}"`);
+  return parseEnumString(fs.readFileSync(filepath, { encoding: 'utf8' }), filepath);
+}
+
+module.exports = parseSync;
+module.exports.parseEnumString = parseEnumString;
@@ -1,15 +1,76 @@
 const fs = require('fs');
 const log = require('../logger');
+const { report } = require('../diagnostics');
 
-function parseSync(filepath) {
-  log.trace(`[parsers/map] reading "${filepath}"`);
+// constants
+const DUPLICATE_POLICIES = ['warn', 'error', 'first-wins', 'last-wins'];
+
+// helper functions
+/**
+ * Finds which earlier entries the mapping `name -> code` collides with.
+ * @private
+ * @param {Object} map
+ * @param {Object} lines `{ name, code }` Maps of the line each entry was on.
+ * @param {String} name
+ * @param {Number} code
+ * @returns {Object[]} A list of `{ code, message }`.
+ */
+function findCollisions(map, lines, name, code) {
+  const collisions = [];
+
+  if (map.name.has(name)) {
+    collisions.push({
+      code: 'duplicate-name',
+      message: `duplicate name "${name}" (first mapped to ${map.name.get(name)} on line ${lines.name.get(name)})`,
+    });
+  }
+
+  if (map.code.has(code) && map.code.get(code) !== name) {
+    collisions.push({
+      code: 'duplicate-opcode',
+      message: `duplicate opcode ${code} for "${name}" (first used by "${map.code.get(code)}" on line ${lines.code.get(code)})`,
+    });
+  }
+
+  return collisions;
+}
+
+// main
+/**
+ * Parses the contents of a .map file.
+ * @param {String} contents
+ * @param {String} [source] Label used in warnings, such as a file path.
+ * @param {Object} [options]
+ * @param {Object[]} [options.diagnostics] If given, problems are also added
+ * to this list (see `diagnostics.report`).
+ * @param {String} [options.duplicates] What to do when a name or opcode is
+ * mapped more than once:
+ * - `warn` (default): warn, and keep the later mapping.
+ * - `error`: report an error for the line and skip it, or throw if there is
+ * no `options.diagnostics` to report to.
+ * - `first-wins`, `last-wins`: silently keep the earlier or later mapping.
+ *
+ * Either way, the entry that loses is removed from both directions.
+ * @returns {Object}
+ * @throws Errors on duplicates with the `error` policy, without
+ * `options.diagnostics`.
+ */
+function parseMapString(contents, source = '<string>', options = {}) {
+  const { diagnostics = null, duplicates = 'warn' } = options;
+  if (!DUPLICATE_POLICIES.includes(duplicates)) {
+    throw new Error(`[parsers/map] unknown duplicates policy "${duplicates}"`);
+  }
 
   const map = {
     name: new Map(),
     code: new Map(),
   };
+  const lines = {
+    name: new Map(),
+    code: new Map(),
+  };
 
-  const data = fs.readFileSync(filepath, { encoding: 'utf8' }).split(/\r?\n/);
+  const data = contents.split(/\r?\n/);
   for (let i = 0; i < data.length; i++) {
     const line = data[i].replace(/#.*$/, '').trim();
     if (!line) continue;
@@ -18,22 +79,75 @@ function parseSync(filepath) {
     // {name} = {code}
     const match = line.match(/^(\S+)(?:\s+|\s*=\s*)(\S+)$/);
     if (!match) {
-      log.warn(`[parsers/map] parse error: malformed line\n    at "${filepath}", line ${i + 1}`);
+      report(diagnostics, {
+        severity: 'error',
+        code: 'malformed-line',
+        message: 'malformed line',
+        file: source,
+        line: i + 1,
+        column: data[i].search(/\S/) + 1,
+      });
+      log.warn(`[parsers/map] parse error: malformed line\n    at "${source}", line ${i + 1}`);
       continue;
     }
 
     const name = match[1];
     const code = parseInt(match[2], 10);
     if (isNaN(code)) {
-      log.warn(`[parsers/map] parse error: non-numeric opcode\n    at "${filepath}", line ${i + 1}`);
+      report(diagnostics, {
+        severity: 'error',
+        code: 'non-numeric-opcode',
+        message: `non-numeric opcode "${match[2]}"`,
+        file: source,
+        line: i + 1,
+        column: data[i].indexOf(match[2], data[i].indexOf(line) + match[1].length) + 1,
+      });
+      log.warn(`[parsers/map] parse error: non-numeric opcode\n    at "${source}", line ${i + 1}`);
       continue;
     }
 
+    const collisions = findCollisions(map, lines, name, code);
+    if (collisions.length > 0) {
+      if (duplicates === 'error' && !diagnostics) {
+        const { message } = collisions[0];
+        throw new Error(`[parsers/map] parse error: ${message}\n    at "${source}", line ${i + 1}`);
+      }
+
+      if (duplicates === 'warn' || duplicates === 'error') {
+        const severity = (duplicates === 'error') ? 'error' : 'warning';
+        for (const collision of collisions) {
+          report(diagnostics, {
+            severity,
+            code: collision.code,
+            message: collision.message,
+            file: source,
+            line: i + 1,
+            column: data[i].search(/\S/) + 1,
+          });
+          log.warn(`[parsers/map] parse ${severity}: ${collision.message}\n    at "${source}", line ${i + 1}`);
+        }
+      }
+
+      if (duplicates === 'first-wins' || duplicates === 'error') continue;
+
+      // drop the entries being replaced, so both directions stay consistent
+      if (map.name.has(name)) map.code.delete(map.name.get(name));
+      if (map.code.has(code)) map.name.delete(map.code.get(code));
+    }
+
     map.name.set(name, code);
     map.code.set(code, name);
+    lines.name.set(name, i + 1);
+    lines.code.set(code, i + 1);
   }
 
   return map;
 }
 
+function parseSync(filepath) {
+  log.trace(`[parsers/map] reading "${filepath}"`);
+  return parseMapString(fs.readFileSync(filepath, { encoding: 'utf8' }), filepath);
+}
+
 module.exports = parseSync;
+module.exports.parseMapString = parseMapString;
@@ -0,0 +1,744 @@
+// requires
+const util = require('util');
+const Long = require('long');
+
+const log = require('../logger');
+const { createLookup, createTest } = require('./conditions');
+
+// constants
+const SIZES = {
+  bool: 1,
+  byte: 1,
+  int8: 1,
+
+  int16: 2,
+  uint16: 2,
+  count: 2,
+  offset: 2,
+
+  int32: 4,
+  uint32: 4,
+  float: 4,
+
+  int64: 8,
+  uint64: 8,
+  double: 8,
+
+  vec3: 12,
+};
+
+// `[min, max]` of integer types that fit in a Number
+const INTEGER_RANGES = {
+  byte: [0, 0xFF],
+  int8: [-0x80, 0x7F],
+  int16: [-0x8000, 0x7FFF],
+  uint16: [0, 0xFFFF],
+  int32: [-0x80000000, 0x7FFFFFFF],
+  uint32: [0, 0xFFFFFFFF],
+};
+
+const VARIABLE_TYPES = ['bytes', 'string'];
+
+// fields holding the length or position of another field
+const META_TYPES = ['count', 'offset'];
+
+// helper functions
+/**
+ * Splits an inline array type, `float[3]` (fixed length) or `int32[]`
+ * (located by `count`/`offset` metadata), into its element type and length.
+ * @param {*} type
+ * @returns {Object|null} `{ type, length }`, where `length` is `null` for
+ * counted arrays, or `null` if `type` is not an inline array.
+ */
+function inlineArray(type) {
+  const match = (typeof type === 'string') && type.match(/^(\w+)\[(\d*)\]$/);
+  if (!match) return null;
+  return { type: match[1], length: (match[2] !== '') ? Number(match[2]) : null };
+}
+
+/**
+ * Records an offset correction (and the region it skipped over, if any) when
+ * the reader is collecting anomalies for `TeraProtocol#parse`.
+ * @private
+ * @param {Stream.Readable} reader
+ * @param {String} path `name.keyPath` of the field being read.
+ * @param {Number} expected The offset the reader is about to seek to.
+ */
+function noteCorrection(reader, path, expected) {
+  const { anomalies, position } = reader;
+  if (!anomalies) return;
+
+  anomalies.offsetCorrections.push({ path, position, expected });
+  if (expected > position) anomalies.skipped.push({ start: position, end: expected });
+}
+
+/**
+ * Converts a default or constant value from a definition to the form the
+ * reader returns and the writer accepts.
+ * @private
+ * @param {String} type
+ * @param {*} value
+ * @returns {*}
+ */
+function toValue(type, value) {
+  if (type === 'int64' || type === 'uint64') return Long.fromString(String(value), type === 'uint64');
+  if (type === 'float') return Math.fround(value);
+  return value;
+}
+
+const sameValue = (a, b) => ((Long.isLong(a) && Long.isLong(b)) ? a.equals(b) : a === b);
+const show = value => (Long.isLong(value) ? value.toString() : util.inspect(value));
+
+/**
+ * Makes a record do nothing when `test(data)` fails.
+ * @private
+ * @param {Object} record
+ * @param {Function} test
+ */
+function guard(record, test) {
+  const {
+    read,
+    write,
+    skip,
+    length,
+  } = record;
+
+  record.size = null;
+  record.conditional = true;
+  record.read = (reader, data, meta, name) => {
+    if (test(data)) read(reader, data, meta, name);
+  };
+  record.write = (writer, data, meta, name) => {
+    if (test(data)) write(writer, data, meta, name);
+  };
+  record.skip = (reader, meta, data) => {
+    if (test(data)) skip(reader, meta, data);
+  };
+  record.length = data => (test(data) ? length(data) : 0);
+}
+
+const sum = (records, data) => {
+  let length = 0;
+  for (const record of records) length += record.length(data);
+  return length;
+};
+
+/**
+ * Writes the elements of an inline array back to back.
+ * @private
+ * @param {Stream.Writeable} writer
+ * @param {String} type Element type.
+ * @param {Array} values
+ * @param {Number} count Number of elements to write; missing ones are zero.
+ * @param {String} name
+ * @param {String} keyPath
+ */
+function writeElements(writer, type, values, count, name, keyPath) {
+  for (let i = 0; i < count; i++) {
+    try {
+      writer[type](values[i]);
+    } catch (err) {
+      err.message = [
+        `[protocol] write - ${name}: error writing "${keyPath}.${i}" (type: ${type})`,
+        `data: ${util.inspect(values[i])}`,
+        `reason: ${err.message}`,
+      ].join('\n');
+      throw err;
+    }
+  }
+}
+
+/**
+ * Compiles every field of a definition level into a list of records, each
+ * holding the `read`, `write`, `skip` and `length` steps for that field.
+ * Objects share the slots of the enclosing level, since their metadata is
+ * hoisted there by `parsers/def`.
+ * @private
+ * @param {Array} definition
+ * @param {String} keyPathBase
+ * @param {Map} slots Maps `kind:keyPath` to an index in the metadata array.
+ * @param {Function} compileElement Compiles the element type of arrays
+ * (`compile`, which is defined further down and calls this in turn).
+ * @returns {Object[]} One record per field, with the following properties:
+ * - `key`, `keyPath`, `type`
+ * - `value(data)`: for primitive fields, the value to write, after applying
+ * the default or constant value from the definition, if any.
+ * - `meta`: whether the field is a `count` or `offset`.
+ * - `addressed`: whether the field is located by a preceding `offset`.
+ * - `offsetSlot`: the metadata slot holding that `offset`.
+ * - `size`: the fixed byte size of the field, or `null` if variable.
+ * - `conditional`: whether the field depends on an earlier field.
+ * - `read(reader, data, meta, name)`
+ * - `write(writer, data, meta, name)`
+ * - `skip(reader, meta, data)`: advances `reader` past the field. Fields
+ * that conditions depend on are read into `data`.
+ * - `length(data)`: the byte length of the field in `data`.
+ */
+function compileFields(definition, keyPathBase, slots, compileElement) {
+  const getSlot = (kind, keyPath) => {
+    const id = `${kind}:${keyPath}`;
+    if (!slots.has(id)) slots.set(id, slots.size);
+    return slots.get(id);
+  };
+
+  const records = [];
+  const seenOffsets = new Set();
+  const subjects = new Set();
+
+  const lookup = createLookup(definition);
+
+  const add = (record, when) => {
+    const test = createTest(when, lookup);
+    if (test) {
+      guard(record, test);
+      for (const condition of when) subjects.add(condition.key);
+    }
+    records.push(record);
+  };
+
+  for (const [key, type, fieldOptions = {}] of definition) {
+    const keyPath = (keyPathBase !== '') ? `${keyPathBase}.${key}` : key;
+    const countSlot = getSlot('count', keyPath);
+    const offsetSlot = getSlot('offset', keyPath);
+    const record = {
+      key,
+      keyPath,
+      type,
+      meta: false,
+      addressed: seenOffsets.has(keyPath),
+      offsetSlot,
+    };
+
+    // `type` is array or object
+    if (Array.isArray(type)) {
+      if (type.type === 'object') {
+        const children = compileFields(type, keyPath, slots, compileElement);
+        const fixed = children.filter(child => child.size !== null);
+        const dynamic = children.filter(child => child.size === null);
+
+        record.size = (dynamic.length === 0)
+          ? fixed.reduce((total, child) => total + child.size, 0)
+          : null;
+
+        record.read = (reader, data, meta, name) => {
+          const obj = {};
+          for (const child of children) child.read(reader, obj, meta, name);
+          data[key] = obj;
+        };
+
+        record.write = (writer, data, meta, name) => {
+          const obj = data[key] || {};
+          for (const child of children) child.write(writer, obj, meta, name);
+        };
+
+        record.skip = (reader, meta) => {
+          const obj = {};
+          for (const child of children) child.skip(reader, meta, obj);
+        };
+
+        record.length = (data) => {
+          const obj = data[key] || {};
+          let length = 0;
+          for (const child of children) length += child.length(obj);
+          return length;
+        };
+
+        add(record, fieldOptions.when);
+        continue;
+      }
+
+      if (type.type !== 'array') {
+        throw new Error(`unknown type: ${type.type}`);
+      }
+
+      const element = compileElement(type);
+
+      // walks the linked list of elements, calling `fn` for each element
+      const walk = (reader, meta, name, fn) => {
+        const length = meta[countSlot];
+        let index = 0;
+        let next = meta[offsetSlot];
+
+        while (next) {
+          let pos = reader.position;
+          if (pos !== next) {
+            log.warn(`[protocol] parse - ${name}: offset mismatch for array "${keyPath}" at ${reader.position} (expected ${next})`);
+            noteCorrection(reader, `${name}.${keyPath}`, next);
+            reader.seek(next);
+            pos = next;
+          }
+
+          const here = reader.uint16();
+          if (pos !== here) {
+            throw new Error(`${name}.${keyPath}: cannot find next element of array at ${pos} (found value ${here})`);
+          }
+
+          next = reader.uint16();
+          fn(index++);
+
+          if (next && index === length) {
+            log.warn(`[protocol] parse - ${name}.${keyPath}: found out of bounds element ${index} (expected max ${length})`);
+          }
+        }
+
+        if (reader.anomalies && length !== undefined && index !== length) {
+          reader.anomalies.countMismatches.push({
+            path: `${name}.${keyPath}`,
+            expected: length,
+            found: index,
+          });
+        }
+      };
+
+      record.size = null;
+
+      record.read = (reader, data, meta, name) => {
+        const array = new Array(meta[countSlot]);
+        const elemName = `${name}.${keyPath}`;
+        walk(reader, meta, name, (index) => {
+          array[index] = element.read(reader, elemName);
+        });
+        data[key] = array;
+      };
+
+      record.write = (writer, data, meta, name) => {
+        const value = data[key];
+        if (!value || value.length === 0) return;
+
+        // write length in header
+        const here = writer.position;
+        writer.seek(meta[countSlot]);
+        writer.uint16(value.length);
+        writer.seek(here);
+
+        // iterate elements
+        const elemName = `${name}.${keyPath}`;
+        let last = meta[offsetSlot];
+        for (const elem of value) {
+          // write position in last element (or header)
+          const hereElem = writer.position;
+          writer.seek(last);
+          writer.uint16(hereElem);
+          writer.seek(hereElem);
+
+          // write position in current element
+          writer.uint16(hereElem);
+
+          // store position pointing to next element
+          last = writer.position;
+
+          // write placeholder position
+          writer.uint16(0);
+
+          // recurse
+          element.write(writer, elem || {}, elemName);
+        }
+      };
+
+      record.skip = (reader, meta) => {
+        walk(reader, meta, '<skip>', () => element.skip(reader));
+      };
+
+      record.length = (data) => {
+        const value = data[key];
+        let length = 0;
+        if (Array.isArray(value)) {
+          for (const elem of value) {
+            // here + next offsets + recursive length
+            length += 4 + element.length(elem || {});
+          }
+        }
+        return length;
+      };
+
+      add(record, fieldOptions.when);
+      continue;
+    }
+
+    // `type` is an inline array of primitives
+    const inline = inlineArray(type);
+    if (inline) {
+      const elementType = inline.type;
+      const elementSize = SIZES[elementType];
+      if (!elementSize || META_TYPES.includes(elementType)) {
+        throw new Error(`unknown type: ${type}`);
+      }
+
+      if (inline.length !== null) {
+        const count = inline.length;
+        const size = count * elementSize;
+
+        record.size = size;
+
+        record.read = (reader, data) => {
+          const array = new Array(count);
+          for (let i = 0; i < count; i++) array[i] = reader[elementType]();
+          data[key] = array;
+        };
+
+        record.write = (writer, data, meta, name) => {
+          writeElements(writer, elementType, data[key] || [], count, name, keyPath);
+        };
+
+        record.skip = (reader) => {
+          reader.skip(size);
+        };
+
+        record.length = () => size;
+      } else {
+        record.size = null;
+
+        record.read = (reader, data, meta, name) => {
+          const count = meta[countSlot] || 0;
+          const ofs = meta[offsetSlot];
+          if (count > 0 && ofs !== undefined && reader.position !== ofs) {
+            log.warn(`[protocol] parse - ${name}: offset mismatch for "${keyPath}" at ${reader.position} (expected ${ofs})`);
+            noteCorrection(reader, `${name}.${keyPath}`, ofs);
+            reader.seek(ofs);
+          }
+
+          const array = new Array(count);
+          for (let i = 0; i < count; i++) array[i] = reader[elementType]();
+          data[key] = array;
+        };
+
+        record.write = (writer, data, meta, name) => {
+          const value = data[key];
+          if (!value || value.length === 0) return;
+
+          // update count and offset
+          const here = writer.position;
+          if (meta[countSlot] !== undefined) {
+            writer.seek(meta[countSlot]);
+            writer.uint16(value.length);
+          }
+          if (meta[offsetSlot] !== undefined) {
+            writer.seek(meta[offsetSlot]);
+            writer.uint16(here);
+          }
+          writer.seek(here);
+
+          writeElements(writer, elementType, value, value.length, name, keyPath);
+        };
+
+        record.skip = (reader, meta) => {
+          const count = meta[countSlot] || 0;
+          if (count === 0) return;
+
+          const ofs = meta[offsetSlot];
+          if (ofs !== undefined) reader.seek(ofs);
+          reader.skip(count * elementSize);
+        };
+
+        record.length = (data) => {
+          const value = data[key];
+          return Array.isArray(value) ? value.length * elementSize : 0;
+        };
+      }
+
+      add(record, fieldOptions.when);
+      continue;
+    }
+
+    // `type` is primitive
+    switch (type) {
+      // save the value (on read) or position (on write) for later fields
+      case 'count':
+      case 'offset': {
+        const slot = (type === 'count') ? countSlot : offsetSlot;
+        if (type === 'offset') seenOffsets.add(keyPath);
+
+        record.meta = true;
+        record.size = SIZES[type];
+
+        record.read = (reader, data, meta) => {
+          meta[slot] = reader.uint16();
+        };
+
+        record.write = (writer, data, meta) => {
+          meta[slot] = writer.position;
+          writer.uint16(0);
+        };
+
+        record.skip = (reader, meta) => {
+          meta[slot] = reader.uint16();
+        };
+        break;
+      }
+
+      default: {
+        if (!SIZES[type] && !VARIABLE_TYPES.includes(type)) {
+          throw new Error(`unknown type: ${type}`);
+        }
+
+        const hasConstant = ('constant' in fieldOptions);
+        const constant = hasConstant ? toValue(type, fieldOptions.constant) : undefined;
+        const fallback = ('default' in fieldOptions) ? toValue(type, fieldOptions.default) : undefined;
+
+        if (hasConstant) {
+          record.value = () => constant;
+        } else if (fallback !== undefined) {
+          record.value = data => ((data[key] !== undefined) ? data[key] : fallback);
+        } else {
+          record.value = data => data[key];
+        }
+
+        record.read = (reader, data, meta, name) => {
+          const ofs = meta[offsetSlot];
+          if (ofs !== undefined && reader.position !== ofs) {
+            log.warn(`[protocol] parse - ${name}: offset mismatch for "${keyPath}" at ${reader.position} (expected ${ofs})`);
+            noteCorrection(reader, `${name}.${keyPath}`, ofs);
+            reader.seek(ofs);
+          }
+
+          const value = reader[type](meta[countSlot]);
+          if (hasConstant && !sameValue(value, constant)) {
+            log.warn(`[protocol] parse - ${name}: constant mismatch for "${keyPath}" (expected ${show(constant)}, found ${show(value)})`);
+          }
+
+          data[key] = value;
+        };
+
+        record.write = (writer, data, meta, name) => {
+          const value = record.value(data);
+
+          // update count
+          const cnt = meta[countSlot];
+          if (cnt !== undefined && value) {
+            const here = writer.position;
+            writer.seek(cnt);
+            writer.uint16(value.length);
+            writer.seek(here);
+          }
+
+          // update offset
+          const ofs = meta[offsetSlot];
+          if (ofs !== undefined) {
+            const here = writer.position;
+            writer.seek(ofs);
+            writer.uint16(here);
+            writer.seek(here);
+          }
+
+          // write it
+          try {
+            writer[type](value);
+          } catch (err) {
+            err.message = [
+              `[protocol] write - ${name}: error writing "${keyPath}" (type: ${type})`,
+              `data: ${util.inspect(value)}`,
+              `reason: ${err.message}`,
+            ].join('\n');
+            throw err;
+          }
+        };
+
+        switch (type) {
+          case 'bytes': {
+            record.size = null;
+            record.length = (data) => {
+              const value = record.value(data);
+              return value ? value.length : 0;
+            };
+            record.skip = (reader, meta) => {
+              const ofs = meta[offsetSlot];
+              if (ofs !== undefined) reader.seek(ofs);
+              reader.skip(meta[countSlot] || 0);
+            };
+            break;
+          }
+
+          case 'string': {
+            // utf-16 + null byte
+            record.size = null;
+            record.length = data => ((record.value(data) || '').length + 1) * 2;
+            record.skip = (reader, meta) => {
+              const ofs = meta[offsetSlot];
+              if (ofs !== undefined) reader.seek(ofs);
+              reader.skipString();
+            };
+            break;
+          }
+
+          default: {
+            const size = SIZES[type];
+            record.size = size;
+            record.skip = (reader) => {
+              reader.skip(size);
+            };
+            break;
+          }
+        }
+        break;
+      }
+    }
+
+    if (!record.length) {
+      const { size } = record;
+      record.length = () => size;
+    }
+
+    add(record, fieldOptions.when);
+  }
+
+  // skipping a level must still read the fields its conditions depend on
+  for (const record of records) {
+    if (record.meta || !subjects.has(record.key)) continue;
+
+    const { read } = record;
+    record.skip = (reader, meta, data) => read(reader, data, meta, '<skip>');
+  }
+
+  return records;
+}
+
+/**
+ * Builds a reader for a subset of the top level fields. Metadata is always
+ * read, fields located by an `offset` are jumped to directly, and everything
+ * else is skipped over only when a later requested field needs the position.
+ * @private
+ * @param {Object[]} records
+ * @param {Number} slotCount
+ * @param {String[]} keys
+ * @returns {Function} `read(reader, name)`
+ */
+function compilePartial(records, slotCount, keys) {
+  const wanted = new Set(keys);
+
+  for (const key of wanted) {
+    if (!records.some(record => !record.meta && record.key === key)) {
+      throw new Error(`unknown field "${key}"`);
+    }
+  }
+
+  // conditions may depend on any earlier field, so read everything
+  if (records.some(record => record.conditional)) {
+    return (reader, name) => {
+      const meta = new Array(slotCount);
+      const all = {};
+      for (const record of records) record.read(reader, all, meta, name);
+
+      const data = {};
+      for (const record of records) {
+        if (!record.meta && wanted.has(record.key) && all[record.key] !== undefined) {
+          data[record.key] = all[record.key];
+        }
+      }
+      return data;
+    };
+  }
+
+  const steps = [];
+  let needsPosition = false;
+
+  // work backwards so we know if anything after a field depends on position
+  for (let i = records.length - 1; i >= 0; i--) {
+    const record = records[i];
+
+    if (record.meta) {
+      if (steps.length > 0) {
+        steps.unshift(record.read);
+        needsPosition = true;
+      }
+      continue;
+    }
+
+    if (wanted.has(record.key)) {
+      if (record.addressed) {
+        const { read, offsetSlot } = record;
+
+        // seek ahead of time so out-of-order reads don't trigger warnings
+        steps.unshift((reader, data, meta, name) => {
+          const ofs = meta[offsetSlot];
+          if (ofs) reader.seek(ofs);
+          read(reader, data, meta, name);
+        });
+      } else {
+        steps.unshift(record.read);
+        needsPosition = true;
+      }
+      continue;
+    }
+
+    if (needsPosition) {
+      steps.unshift((reader, data, meta) => record.skip(reader, meta));
+    }
+  }
+
+  return (reader, name) => {
+    const meta = new Array(slotCount);
+    const data = {};
+    for (const step of steps) step(reader, data, meta, name);
+    return data;
+  };
+}
+
+// exports
+/**
+ * Compiles a flattened definition (as returned by `parsers/def`) into
+ * dedicated reader, writer and length functions. The result is cached on the
+ * definition itself, so each definition is only ever compiled once.
+ * @param {Array} definition
+ * @returns {Object} An object with the following properties:
+ * - `keys`: the names of the top level (non-metadata) fields.
+ * - `read(reader, name)`: reads a data object from a `Stream.Readable`.
+ * - `readFields(reader, name, keys)`: reads only the given top level fields.
+ * - `skip(reader)`: advances a `Stream.Readable` past the data.
+ * - `write(writer, data, name)`: writes `data` to a `Stream.Writeable`.
+ * - `length(data)`: computes the byte length of `data` once written.
+ * @throws Errors if a type specified in the `definition` is not recognized.
+ */
+function compile(definition) {
+  if (definition.compiled) return definition.compiled;
+
+  const slots = new Map();
+  const records = compileFields(definition, '', slots, compile);
+  const slotCount = slots.size;
+
+  const fixed = records.reduce((total, record) => total + (record.size || 0), 0);
+  const dynamic = records.filter(record => record.size === null);
+  const partials = new Map();
+
+  const compiled = {
+    keys: records.filter(record => !record.meta).map(record => record.key),
+
+    read(reader, name) {
+      const meta = new Array(slotCount);
+      const data = {};
+      for (const record of records) record.read(reader, data, meta, name);
+      return data;
+    },
+
+    readFields(reader, name, keys) {
+      const id = keys.join(',');
+      if (!partials.has(id)) partials.set(id, compilePartial(records, slotCount, keys));
+      return partials.get(id)(reader, name);
+    },
+
+    skip(reader) {
+      const meta = new Array(slotCount);
+      const data = {};
+      for (const record of records) record.skip(reader, meta, data);
+      return reader.position;
+    },
+
+    write(writer, data, name) {
+      const meta = new Array(slotCount);
+      for (const record of records) record.write(writer, data, meta, name);
+      return writer;
+    },
+
+    length(data) {
+      return fixed + sum(dynamic, data);
+    },
+  };
+
+  Object.defineProperty(definition, 'compiled', { value: compiled });
+  return compiled;
+}
+
+module.exports = compile;
+module.exports.SIZES = SIZES;
+module.exports.INTEGER_RANGES = INTEGER_RANGES;
+module.exports.META_TYPES = META_TYPES;
+module.exports.inlineArray = inlineArray;
@@ -0,0 +1,178 @@
+// requires
+const Long = require('long');
+
+// constants
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+// helper functions
+const versionCache = new WeakMap();
+const selectCache = new WeakMap();
+
+/**
+ * Converts a field value to a number for comparison. Missing values count as
+ * 0, and booleans as 0 or 1.
+ * @private
+ * @param {*} value
+ * @returns {Number}
+ */
+function toNumber(value) {
+  if (Long.isLong(value)) return value.toNumber();
+  if (value !== null && typeof value === 'object' && 'low' in value && 'high' in value) {
+    return new Long(value.low, value.high).toNumber();
+  }
+  return Number(value || 0);
+}
+
+/**
+ * Checks whether any field of `definition` (at any depth) depends on the
+ * protocol version.
+ * @private
+ * @param {Array} definition
+ * @returns {Boolean}
+ */
+function hasVersionConditions(definition) {
+  if (!versionCache.has(definition)) {
+    versionCache.set(definition, definition.some(([, type, fieldOptions]) => (
+      (fieldOptions && fieldOptions.when && fieldOptions.when.some(c => c.subject === 'protocol'))
+      || (Array.isArray(type) && hasVersionConditions(type))
+    )));
+  }
+  return versionCache.get(definition);
+}
+
+/**
+ * Copies `definition` without the fields that are not present in
+ * `protocolVersion`, and without the version conditions of the others.
+ * @private
+ * @param {Array} definition
+ * @param {Number} protocolVersion
+ * @returns {Array}
+ */
+function filter(definition, protocolVersion) {
+  const result = [];
+
+  for (const [key, type, fieldOptions, ...rest] of definition) {
+    const when = (fieldOptions && fieldOptions.when) || [];
+    const present = when.every(condition => (
+      condition.subject !== 'protocol'
+      || OPERATORS[condition.op](protocolVersion, condition.value)
+    ));
+    if (!present) continue;
+
+    const entry = [key, Array.isArray(type) ? filter(type, protocolVersion) : type];
+    if (fieldOptions) {
+      const options = Object.assign({}, fieldOptions);
+      const fieldConditions = when.filter(condition => condition.subject !== 'protocol');
+      if (fieldConditions.length > 0) {
+        options.when = fieldConditions;
+      } else {
+        delete options.when;
+      }
+      if (Object.keys(options).length > 0 || rest.length > 0) entry.push(options, ...rest);
+    }
+    result.push(entry);
+  }
+
+  result.type = definition.type;
+  return result;
+}
+
+/**
+ * Compares a field value with the value of a condition.
+ * @private
+ * @param {String} op One of `==`, `!=`, `<`, `<=`, `>`, `>=`.
+ * @param {*} value
+ * @param {Number|Boolean} expected
+ * @returns {Boolean}
+ */
+function compare(op, value, expected) {
+  return OPERATORS[op](toNumber(value), toNumber(expected));
+}
+
+// exports
+/**
+ * Builds a test for the field conditions of a definition entry. Version
+ * conditions are ignored, since `select` removes them.
+ * @param {Object[]} [when] The `when` option of a definition entry.
+ * @param {Function} [lookup] `(data, key)`, returns the value of the field
+ * `key` in `data`.
+ * @returns {Function|null} `test(data)`, or `null` if the field doesn't
+ * depend on other fields.
+ */
+function createTest(when, lookup = (data, key) => data[key]) {
+  const conditions = (when || []).filter(condition => condition.subject === 'field');
+  if (conditions.length === 0) return null;
+
+  return data => conditions.every(({ key, op, value }) => compare(op, lookup(data, key), value));
+}
+
+/**
+ * Builds a lookup for `createTest` that sees the value a level of a
+ * definition would be written with: a field's constant, else its value in
+ * `data`, else its default.
+ * @param {Array} definition
+ * @returns {Function} `(data, key)`, returns the value of the field `key`.
+ */
+function createLookup(definition) {
+  const fields = new Map();
+  for (const [key, , fieldOptions] of definition) {
+    if (fieldOptions && ('constant' in fieldOptions || 'default' in fieldOptions)) {
+      fields.set(key, fieldOptions);
+    }
+  }
+
+  return (data, key) => {
+    const fieldOptions = fields.get(key);
+    if (!fieldOptions) return data[key];
+    if ('constant' in fieldOptions) return fieldOptions.constant;
+    return (data[key] !== undefined) ? data[key] : fieldOptions.default;
+  };
+}
+
+/**
+ * Formats conditions the way they are written in a .def.
+ * @param {Object[]} when
+ * @returns {String}
+ */
+function formatConditions(when) {
+  return when.map(({ subject, key, op, value }) => {
+    const name = (subject === 'protocol') ? 'protocol' : key;
+    if (value === false && op === '!=') return name;
+    if (value === false && op === '==') return `!${name}`;
+    return `${name} ${op} ${value}`;
+  }).join(' and ');
+}
+
+/**
+ * Resolves the version conditions of `definition` for `protocolVersion`.
+ * Results are cached, and definitions without version conditions are
+ * returned as is.
+ * @param {Array} definition
+ * @param {Number} [protocolVersion] If not a number, all fields are kept.
+ * @returns {Array}
+ */
+function select(definition, protocolVersion) {
+  if (typeof protocolVersion !== 'number' || !hasVersionConditions(definition)) return definition;
+
+  if (!selectCache.has(definition)) selectCache.set(definition, new Map());
+  const versions = selectCache.get(definition);
+
+  if (!versions.has(protocolVersion)) {
+    versions.set(protocolVersion, filter(definition, protocolVersion));
+  }
+  return versions.get(protocolVersion);
+}
+
+module.exports = {
+  createLookup,
+  createTest,
+  formatConditions,
+  select,
+};
@@ -0,0 +1,66 @@
+// requires
+const compile = require('./compiler');
+
+const { META_TYPES } = compile;
+
+// exports
+/**
+ * Describes the fields of a parsed definition as a tree.
+ * @param {Array} definition
+ * @param {String} [keyPathBase] Key path of the enclosing field, if any.
+ * @returns {Object[]} One node per field, in wire order, with the following
+ * properties:
+ * - `name`: the field name. For metadata, the name of the field it describes.
+ * - `type`: a primitive type, an inline array type (`float[3]`, `int32[]`),
+ * `array` or `object`.
+ * - `keyPath`: dotted path from the root of the message. Array elements are
+ * not indexed, so the fields of `items` elements are `items.<name>`.
+ * - `meta`: whether the field is `count`/`offset` metadata for another field
+ * (written implicitly or explicitly in the .def). Metadata appears before the
+ * fields of its level, in the order it is written.
+ * - `size`: the fixed byte size of the field, or `null` if it varies. For
+ * arrays this is `null`; see `children` for the size of each element.
+ * - `children`: the fields of objects and array elements, or `null`.
+ * - `default`/`constant`: only present if the .def gives the field a value.
+ * - `when`: only present for fields with conditions. The size of such fields
+ * is `null`, since they may be left out.
+ */
+function describeDefinition(definition, keyPathBase = '') {
+  return definition.map(([key, type, fieldOptions]) => {
+    const keyPath = (keyPathBase !== '') ? `${keyPathBase}.${key}` : key;
+    const conditional = !!(fieldOptions && fieldOptions.when);
+
+    if (Array.isArray(type)) {
+      const children = describeDefinition(type, keyPath);
+      const fixed = children.every(child => child.size !== null) && !conditional;
+
+      return Object.assign({
+        name: key,
+        type: type.type,
+        keyPath,
+        meta: false,
+        size: (type.type === 'object' && fixed)
+          ? children.reduce((total, child) => total + child.size, 0)
+          : null,
+        children,
+      }, fieldOptions);
+    }
+
+    // metadata is hoisted out of objects, so its key may be a path itself
+    const meta = META_TYPES.includes(type);
+    const inline = compile.inlineArray(type);
+    let size = compile.SIZES[type];
+    if (inline && inline.length !== null) size = inline.length * compile.SIZES[inline.type];
+
+    return Object.assign({
+      name: meta ? key.split('.').pop() : key,
+      type,
+      keyPath,
+      meta,
+      size: (size !== undefined && !conditional) ? size : null,
+      children: null,
+    }, fieldOptions);
+  });
+}
+
+module.exports = describeDefinition;
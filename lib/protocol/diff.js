@@ -0,0 +1,251 @@
+// requires
+const { META_TYPES } = require('./compiler');
+const conditions = require('./conditions');
+
+// helper functions
+function byName(a, b) {
+  if (a.name < b.name) return -1;
+  if (a.name > b.name) return 1;
+  return 0;
+}
+
+/**
+ * Groups the (non-metadata) fields of a definition by parent key path.
+ * @private
+ * @param {Array} definition
+ * @param {String} [keyPathBase]
+ * @param {Map} [levels] Maps a parent key path to a Map of `key -> type`.
+ * @returns {Map}
+ */
+function collectFields(definition, keyPathBase = '', levels = new Map()) {
+  const fields = new Map();
+  levels.set(keyPathBase, fields);
+
+  for (const [key, type] of definition) {
+    if (META_TYPES.includes(type)) continue;
+
+    const keyPath = (keyPathBase !== '') ? `${keyPathBase}.${key}` : key;
+    if (Array.isArray(type)) {
+      fields.set(key, type.type);
+      collectFields(type, keyPath, levels);
+    } else {
+      fields.set(key, type);
+    }
+  }
+
+  return levels;
+}
+
+/**
+ * Finds which elements of `b` are not part of a longest common subsequence
+ * with `a`, i.e. the minimal set of elements that moved.
+ * @private
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Set}
+ */
+function findMoved(a, b) {
+  const table = a.map(() => new Array(b.length + 1).fill(0));
+  table.push(new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = (a[i] === b[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const kept = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      kept.add(a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return new Set(b.filter(key => !kept.has(key)));
+}
+
+// exports
+/**
+ * Compares two definitions field by field. Fields are matched by key path,
+ * and metadata (`count`/`offset`) fields are ignored.
+ * @param {Array} from
+ * @param {Array} to
+ * @returns {Object} An object with `added`, `removed`, `retyped` and
+ * `reordered` lists of fields.
+ */
+function diffDefinitions(from, to) {
+  const result = {
+    added: [],
+    removed: [],
+    retyped: [],
+    reordered: [],
+  };
+
+  const fromLevels = collectFields(from);
+  const toLevels = collectFields(to);
+  const join = (base, key) => ((base !== '') ? `${base}.${key}` : key);
+
+  for (const [base, fromFields] of fromLevels) {
+    const toFields = toLevels.get(base) || new Map();
+
+    for (const [key, type] of fromFields) {
+      if (!toFields.has(key)) {
+        result.removed.push({ keyPath: join(base, key), type });
+      } else if (toFields.get(key) !== type) {
+        result.retyped.push({ keyPath: join(base, key), from: type, to: toFields.get(key) });
+      }
+    }
+  }
+
+  for (const [base, toFields] of toLevels) {
+    const fromFields = fromLevels.get(base) || new Map();
+
+    for (const [key, type] of toFields) {
+      if (!fromFields.has(key)) {
+        result.added.push({ keyPath: join(base, key), type });
+      }
+    }
+
+    const fromKeys = [...fromFields.keys()].filter(key => toFields.has(key));
+    const toKeys = [...toFields.keys()].filter(key => fromFields.has(key));
+    for (const key of findMoved(fromKeys, toKeys)) {
+      result.reordered.push({
+        keyPath: join(base, key),
+        from: fromKeys.indexOf(key),
+        to: toKeys.indexOf(key),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compares the opcode maps of two protocol versions, and the latest two
+ * definition versions of every message mapped in `to`: the previous one as
+ * `from` sees it, and the latest one as `to` sees it (see
+ * `conditions.select`). Messages with a single definition version are
+ * compared with themselves.
+ * @param {TeraProtocol} protocol A loaded protocol instance.
+ * @param {Number} from
+ * @param {Number} to
+ * @returns {Object} An object with the following properties:
+ * - `added`, `removed`: lists of `{ name, code }`.
+ * - `changed`: list of `{ name, from, to }` opcodes.
+ * - `missing`: names mapped in `to` that have no definition at all.
+ * - `definitions`: list of `{ name, from, to, ...diffDefinitions() }` for
+ * messages whose latest definition differs from the previous one.
+ * @throws Errors if either protocol version has no mapping.
+ */
+function diffProtocol(protocol, from, to) {
+  const fromMap = protocol.maps.get(from);
+  const toMap = protocol.maps.get(to);
+  if (!fromMap) throw new Error(`no mapping for protocol version ${from}`);
+  if (!toMap) throw new Error(`no mapping for protocol version ${to}`);
+
+  const report = {
+    from,
+    to,
+    added: [],
+    removed: [],
+    changed: [],
+    missing: [],
+    definitions: [],
+  };
+
+  for (const [name, code] of toMap.name) {
+    if (!fromMap.name.has(name)) {
+      report.added.push({ name, code });
+    } else if (fromMap.name.get(name) !== code) {
+      report.changed.push({ name, from: fromMap.name.get(name), to: code });
+    }
+
+    const versions = protocol.messages.get(name);
+    if (!versions || versions.size === 0) {
+      report.missing.push(name);
+      continue;
+    }
+
+    const sorted = [...versions.keys()].sort((a, b) => a - b);
+    const latest = sorted[sorted.length - 1];
+    const prev = (sorted.length > 1) ? sorted[sorted.length - 2] : latest;
+    const diff = diffDefinitions(
+      conditions.select(versions.get(prev), from),
+      conditions.select(versions.get(latest), to)
+    );
+    if (Object.keys(diff).some(kind => diff[kind].length > 0)) {
+      report.definitions.push(Object.assign({ name, from: prev, to: latest }, diff));
+    }
+  }
+
+  for (const [name, code] of fromMap.name) {
+    if (!toMap.name.has(name)) report.removed.push({ name, code });
+  }
+
+  report.added.sort(byName);
+  report.removed.sort(byName);
+  report.changed.sort(byName);
+  report.missing.sort();
+  report.definitions.sort(byName);
+
+  return report;
+}
+
+/**
+ * Formats the result of `diffDefinitions` as indented lines.
+ * @param {Object} diff
+ * @param {String} [indent]
+ * @returns {String[]}
+ */
+function formatDefinitionDiff(diff, indent = '  ') {
+  return [].concat(
+    diff.added.map(f => `${indent}+ ${f.keyPath} (${f.type})`),
+    diff.removed.map(f => `${indent}- ${f.keyPath} (${f.type})`),
+    diff.retyped.map(f => `${indent}~ ${f.keyPath}: ${f.from} -> ${f.to}`),
+    diff.reordered.map(f => `${indent}^ ${f.keyPath}: position ${f.from} -> ${f.to}`)
+  );
+}
+
+/**
+ * Formats the result of `diffProtocol` as human-readable text.
+ * @param {Object} report
+ * @returns {String}
+ */
+function formatDiff(report) {
+  const lines = [`protocol ${report.from} -> ${report.to}`];
+  const section = (title, list, format) => {
+    if (list.length === 0) return;
+    lines.push('', `${title} (${list.length}):`, ...list.map(format));
+  };
+
+  section('added', report.added, m => `  + ${m.name} ${m.code}`);
+  section('removed', report.removed, m => `  - ${m.name} ${m.code}`);
+  section('changed opcodes', report.changed, m => `  ~ ${m.name} ${m.from} -> ${m.to}`);
+  section('missing definitions', report.missing, name => `  ! ${name}`);
+
+  if (report.definitions.length > 0) {
+    lines.push('', `changed definitions (${report.definitions.length}):`);
+    for (const def of report.definitions) {
+      lines.push(`  ${def.name} ${def.from} -> ${def.to}`, ...formatDefinitionDiff(def, '    '));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  diffDefinitions,
+  diffProtocol,
+  formatDefinitionDiff,
+  formatDiff,
+};
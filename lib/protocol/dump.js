@@ -0,0 +1,242 @@
+// requires
+const util = require('util');
+
+const Stream = require('./stream');
+const { META_TYPES, inlineArray } = require('./compiler');
+const { createLookup, createTest } = require('./conditions');
+
+// constants
+const BYTES_PER_LINE = 8;
+
+// helper functions
+// `String#padStart`/`padEnd` need Node 8
+function pad(text, width, fill = ' ', left = false) {
+  const padding = fill.repeat(Math.max(0, width - text.length));
+  return left ? padding + text : text + padding;
+}
+
+const hex = (n, width = 4) => pad(n.toString(16), width, '0', true);
+
+function formatValue(value) {
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (Array.isArray(value)) return util.inspect(value, { breakLength: Infinity });
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value !== null && typeof value === 'object') {
+    // Long has its own decimal toString; plain objects (vec3) do not
+    if (value.toString !== Object.prototype.toString) return value.toString();
+    return util.inspect(value, { breakLength: Infinity });
+  }
+  return String(value);
+}
+
+/**
+ * Walks a definition like the compiled reader does, but records every read
+ * instead of building an object, and stops at the first error instead of
+ * throwing.
+ * @private
+ */
+class Tracer {
+  constructor(buffer) {
+    this.reader = new Stream.Readable(buffer);
+    this.entries = [];
+  }
+
+  /**
+   * Reads a single value with `read`, recording the byte range it consumed.
+   * @param {Object} entry `{ keyPath, type }` plus any extra properties.
+   * @param {Function} read
+   * @returns {*} The value read.
+   */
+  read(entry, read) {
+    const { reader } = this;
+    const start = reader.position;
+    const value = read();
+
+    this.entries.push(Object.assign({ start, end: reader.position, value }, entry));
+    if (reader.position > reader.buffer.length) {
+      throw new Error(`read past the end of the buffer (${reader.buffer.length} bytes)`);
+    }
+    return value;
+  }
+
+  /**
+   * @param {Array} definition
+   * @param {Map} meta Metadata of the enclosing array element (or message),
+   * keyed by `kind:keyPath` relative to it.
+   * @param {String} relBase Key path relative to the enclosing array element.
+   * @param {String} base Full key path, including array indices.
+   */
+  level(definition, meta, relBase, base) {
+    const { reader } = this;
+    const values = {};
+    const lookup = createLookup(definition);
+
+    for (const [key, type, fieldOptions] of definition) {
+      const relKeyPath = (relBase !== '') ? `${relBase}.${key}` : key;
+      const keyPath = (base !== '') ? `${base}.${key}` : key;
+
+      const test = createTest(fieldOptions && fieldOptions.when, lookup);
+      if (test && !test(values)) continue;
+
+      if (Array.isArray(type)) {
+        if (type.type === 'object') {
+          this.level(type, meta, relKeyPath, keyPath);
+          continue;
+        }
+
+        let next = meta.get(`offset:${relKeyPath}`);
+        let index = 0;
+        while (next) {
+          if (reader.position !== next) reader.seek(next);
+
+          const pos = reader.position;
+          const element = this.read({ keyPath: `${keyPath}.${index}`, type: 'element' }, () => ({
+            here: reader.uint16(),
+            next: reader.uint16(),
+          }));
+
+          if (element.here !== pos) {
+            throw new Error(`cannot find next element of array "${keyPath}" at ${pos} (found value ${element.here})`);
+          }
+
+          ({ next } = element);
+          this.level(type, new Map(), '', `${keyPath}.${index}`);
+          index++;
+        }
+        continue;
+      }
+
+      if (META_TYPES.includes(type)) {
+        const value = this.read({ keyPath, type, meta: true }, () => reader.uint16());
+        meta.set(`${type}:${relKeyPath}`, value);
+        continue;
+      }
+
+      const ofs = meta.get(`offset:${relKeyPath}`);
+      const count = meta.get(`count:${relKeyPath}`);
+      const inline = inlineArray(type);
+
+      if (inline) {
+        const length = (inline.length !== null) ? inline.length : (count || 0);
+        if (length > 0 && ofs !== undefined && reader.position !== ofs) reader.seek(ofs);
+
+        this.read({ keyPath, type }, () => {
+          const array = new Array(length);
+          for (let i = 0; i < length; i++) array[i] = reader[inline.type]();
+          return array;
+        });
+        continue;
+      }
+
+      if (ofs !== undefined && reader.position !== ofs) reader.seek(ofs);
+
+      values[key] = this.read({ keyPath, type }, () => reader[type](count));
+    }
+  }
+}
+
+// exports
+/**
+ * Records which bytes of a message are read for each field of `definition`.
+ * @param {Array} definition
+ * @param {Buffer} buffer The whole message, including its header.
+ * @returns {Object} `{ entries, unread, error }`:
+ * - `entries`: in read order, `{ start, end, keyPath, type, value }`, plus
+ * `meta: true` for `count`/`offset` fields, `jump: true` if the read did not
+ * start where the previous one ended, and `overlap: true` if some of its
+ * bytes were already read. Array element headers have type `element` and a
+ * `{ here, next }` value.
+ * - `unread`: list of `{ start, end }` byte ranges that were never read.
+ * - `error`: the error that stopped parsing, or `null`.
+ */
+function trace(definition, buffer) {
+  const tracer = new Tracer(buffer);
+  let error = null;
+
+  try {
+    const { reader } = tracer;
+    tracer.read({ keyPath: '<length>', type: 'uint16', meta: true }, () => reader.uint16());
+    tracer.read({ keyPath: '<code>', type: 'uint16', meta: true }, () => reader.uint16());
+    tracer.level(definition, new Map(), '', '');
+  } catch (err) {
+    error = err;
+  }
+
+  const { entries } = tracer;
+  const covered = new Uint8Array(buffer.length);
+  let last = 0;
+
+  for (const entry of entries) {
+    if (entry.start !== last) entry.jump = true;
+    last = entry.end;
+
+    for (let i = entry.start; i < Math.min(entry.end, buffer.length); i++) {
+      if (covered[i]) entry.overlap = true;
+      covered[i] = 1;
+    }
+  }
+
+  const unread = [];
+  for (let i = 0; i < buffer.length; i++) {
+    if (covered[i]) continue;
+
+    const start = i;
+    while (i < buffer.length && !covered[i]) i++;
+    unread.push({ start, end: i });
+  }
+
+  return { entries, unread, error };
+}
+
+/**
+ * Formats the result of `trace` as an annotated hex dump.
+ * @param {Object} result
+ * @param {Buffer} buffer
+ * @param {String} [title] First line of the output, e.g. the message name.
+ * @returns {String}
+ */
+function format(result, buffer, title) {
+  const lines = title ? [title] : [];
+  const hexWidth = (BYTES_PER_LINE * 3) - 1;
+
+  const bytes = (start, end) => {
+    const rows = [];
+    for (let i = start; i < Math.min(end, buffer.length); i += BYTES_PER_LINE) {
+      const row = buffer.slice(i, Math.min(i + BYTES_PER_LINE, end));
+      rows.push([...row].map(b => hex(b, 2)).join(' '));
+    }
+    return rows.length > 0 ? rows : [''];
+  };
+
+  for (const entry of result.entries) {
+    if (entry.jump) lines.push(`      -> jump to ${hex(entry.start)}`);
+
+    const value = (entry.type === 'element')
+      ? `here=${entry.value.here} next=${entry.value.next}`
+      : formatValue(entry.value);
+    const flags = entry.overlap ? '  !! overlaps bytes already read' : '';
+    const [first, ...rest] = bytes(entry.start, entry.end);
+
+    lines.push(`${hex(entry.start)}  ${pad(first, hexWidth)}  ${entry.keyPath} (${entry.type}) = ${value}${flags}`);
+    rest.forEach((row, i) => {
+      lines.push(`${hex(entry.start + ((i + 1) * BYTES_PER_LINE))}  ${row}`);
+    });
+  }
+
+  for (const range of result.unread) {
+    const [first, ...rest] = bytes(range.start, range.end);
+    lines.push(`${hex(range.start)}  ${pad(first, hexWidth)}  ?? unread (${range.end - range.start} bytes)`);
+    rest.forEach((row, i) => {
+      lines.push(`${hex(range.start + ((i + 1) * BYTES_PER_LINE))}  ${row}`);
+    });
+  }
+
+  if (result.error) lines.push(`error: ${result.error.message}`);
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  format,
+  trace,
+};
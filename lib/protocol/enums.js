@@ -0,0 +1,184 @@
+// requires
+const { META_TYPES } = require('./compiler');
+
+// helper functions
+const cache = new WeakMap();
+
+/**
+ * Checks whether any field of `definition` (at any depth) names an enum.
+ * @param {Array} definition
+ * @returns {Boolean}
+ */
+function hasEnums(definition) {
+  if (!cache.has(definition)) {
+    cache.set(definition, definition.some(([, type, fieldOptions]) => (
+      Array.isArray(type) ? hasEnums(type) : !!(fieldOptions && fieldOptions.enum)
+    )));
+  }
+  return cache.get(definition);
+}
+
+/**
+ * Calls `fn(value, enumName, keyPath, data, key)` for every enum field of
+ * `data`, following `definition`.
+ * @private
+ * @param {Array} definition
+ * @param {Object} data
+ * @param {Function} fn
+ * @param {String} base Key path of `data`.
+ */
+function each(definition, data, fn, base = '') {
+  if (!hasEnums(definition)) return;
+
+  for (const [key, type, fieldOptions] of definition) {
+    if (META_TYPES.includes(type)) continue;
+
+    const keyPath = (base !== '') ? `${base}.${key}` : key;
+    const value = data[key];
+    if (value === undefined || value === null) continue;
+
+    if (Array.isArray(type)) {
+      if (type.type === 'object') {
+        if (typeof value === 'object') each(type, value, fn, keyPath);
+      } else if (Array.isArray(value)) {
+        value.forEach((element, i) => {
+          if (element && typeof element === 'object') each(type, element, fn, `${keyPath}.${i}`);
+        });
+      }
+      continue;
+    }
+
+    if (fieldOptions && fieldOptions.enum) fn(value, fieldOptions.enum, keyPath, data, key);
+  }
+}
+
+/**
+ * Copies `data` along `definition`, so encoding doesn't modify the caller's
+ * objects. Levels without enum fields are shared, not copied.
+ * @private
+ * @param {Array} definition
+ * @param {Object} data
+ * @returns {Object}
+ */
+function copy(definition, data) {
+  if (!hasEnums(definition) || !data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+  const result = Object.assign({}, data);
+  for (const [key, type] of definition) {
+    if (!Array.isArray(type) || result[key] === undefined) continue;
+
+    result[key] = (type.type === 'object' || !Array.isArray(result[key]))
+      ? copy(type, result[key])
+      : result[key].map(element => copy(type, element));
+  }
+  return result;
+}
+
+/**
+ * Splits a flags value into the names of the flags it contains, plus the
+ * leftover bits (as a number) if some are not declared.
+ * @private
+ * @param {Object} declaration
+ * @param {Number} value
+ * @returns {Object} `{ names, unknown }`
+ */
+function splitFlags(declaration, value) {
+  /* eslint-disable no-bitwise */
+  const names = [];
+  let rest = value >>> 0;
+
+  for (const [name, bit] of declaration.name) {
+    if (bit !== 0 && ((rest & bit) >>> 0) === bit) {
+      names.push(name);
+      rest = (rest & ~bit) >>> 0;
+    }
+  }
+  /* eslint-enable no-bitwise */
+
+  return { names, unknown: rest };
+}
+
+// exports
+/**
+ * Replaces the values of enum fields in parsed `data` with their names, and
+ * those of flags fields with arrays of names. Values that are not declared
+ * are kept as numbers (for flags, as a trailing number holding the unknown
+ * bits) and passed to `onUnknown`.
+ * @param {Array} definition
+ * @param {Object} data Modified in place.
+ * @param {Map} enums `TeraProtocol#enums`.
+ * @param {Object} [options]
+ * @param {Boolean} [options.replace] If `false`, only look for unknown values.
+ * @param {Function} [options.onUnknown] Called with
+ * `{ keyPath, enum, value }` for each unknown value.
+ * @returns {Object} `data`.
+ */
+function decode(definition, data, enums, options = {}) {
+  const { replace = true, onUnknown = () => {} } = options;
+
+  each(definition, data, (value, enumName, keyPath, parent, key) => {
+    // undeclared enums are reported on load
+    const declaration = enums.get(enumName);
+    if (!declaration) return;
+
+    if (declaration.type === 'flags') {
+      const { names, unknown } = splitFlags(declaration, value);
+      if (unknown !== 0) onUnknown({ keyPath, enum: enumName, value: unknown });
+      if (replace) parent[key] = (unknown !== 0) ? names.concat([unknown]) : names;
+      return;
+    }
+
+    if (!declaration.code.has(value)) {
+      onUnknown({ keyPath, enum: enumName, value });
+      return;
+    }
+
+    if (replace) parent[key] = declaration.code.get(value);
+  });
+
+  return data;
+}
+
+/**
+ * Replaces names in enum and flags fields of `data` with their values, so it
+ * can be written. Numbers are kept as they are; flags may be given as a name,
+ * a number, or an array of either.
+ * @param {Array} definition
+ * @param {Object} data Not modified.
+ * @param {Map} enums `TeraProtocol#enums`.
+ * @returns {Object} A copy of `data` where needed.
+ * @throws Errors naming the key path of unknown names.
+ */
+function encode(definition, data, enums) {
+  const result = copy(definition, data);
+
+  each(definition, result, (value, enumName, keyPath, parent, key) => {
+    if (typeof value === 'number') return;
+
+    const declaration = enums.get(enumName);
+    if (!declaration) throw new Error(`${keyPath}: unknown enum "${enumName}"`);
+
+    const lookup = (name) => {
+      if (typeof name === 'number') return name;
+      if (!declaration.name.has(name)) {
+        throw new Error(`${keyPath}: unknown ${enumName} value ${JSON.stringify(name)}`);
+      }
+      return declaration.name.get(name);
+    };
+
+    if (declaration.type === 'flags' && Array.isArray(value)) {
+      // eslint-disable-next-line no-bitwise
+      parent[key] = value.reduce((bits, name) => (bits | lookup(name)) >>> 0, 0);
+    } else {
+      parent[key] = lookup(value);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  decode,
+  encode,
+  hasEnums,
+};
@@ -0,0 +1,137 @@
+// requires
+const { Transform } = require('stream');
+
+const log = require('../logger');
+
+// constants
+const HEADER_SIZE = 4;
+const MAX_LENGTH = 0xFFFF;
+
+// exports
+/**
+ * Splits a stream of decrypted TCP payloads into individual messages, using
+ * the uint16 length at the start of every message. Chunk boundaries may fall
+ * anywhere, including inside a header.
+ *
+ * Each frame is emitted as `{ code, name, buffer }`. If a `protocol` and
+ * `version` are given, `name` is looked up in the opcode map and the message
+ * is parsed into `data` (or `error` if parsing failed).
+ */
+class Framer extends Transform {
+  /**
+   * @param {Object} [options]
+   * @param {TeraProtocol} [options.protocol]
+   * @param {Number} [options.version] Protocol version used for lookups.
+   * @param {Boolean} [options.parse] Parse each frame when `protocol` and
+   * `version` are given (default `true`).
+   * @param {Number} [options.maxLength] Largest accepted message length.
+   */
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+
+    this.protocol = options.protocol || null;
+    this.version = options.version;
+    this.shouldParse = (options.parse !== false) && !!this.protocol && this.version != null;
+    this.maxLength = options.maxLength || MAX_LENGTH;
+    this.pending = null;
+    this.failed = false;
+  }
+
+  /**
+   * Destroys the stream with `err`, dropping all later input, since the
+   * position of the next message is unknown. Older versions of Node keep
+   * transforming (and end the stream) after `callback(err)`, so the pending
+   * callback is dropped instead.
+   * @private
+   * @param {Error} err
+   */
+  fail(err) {
+    this.failed = true;
+    this.pending = null;
+    this.destroy(err);
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.failed) {
+      callback();
+      return;
+    }
+
+    let data = this.pending ? Buffer.concat([this.pending, chunk]) : chunk;
+    this.pending = null;
+
+    while (data.length >= 2) {
+      const length = data.readUInt16LE(0);
+
+      if (length < HEADER_SIZE) {
+        this.fail(new Error(`invalid message length ${length} (smaller than header)`));
+        return;
+      }
+
+      if (length > this.maxLength) {
+        this.fail(new Error(`invalid message length ${length} (max ${this.maxLength})`));
+        return;
+      }
+
+      if (data.length < length) break;
+
+      let frame;
+      try {
+        frame = this.frame(Buffer.from(data.slice(0, length)));
+      } catch (err) {
+        this.fail(err);
+        return;
+      }
+
+      this.push(frame);
+      data = data.slice(length);
+    }
+
+    if (data.length > 0) this.pending = Buffer.from(data);
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.failed) return;
+
+    if (this.pending) {
+      const { length } = this.pending;
+      this.pending = null;
+      callback(new Error(`stream ended with ${length} bytes of an incomplete message`));
+      return;
+    }
+
+    callback();
+  }
+
+  /**
+   * Builds the frame object for one complete message.
+   * @private
+   * @param {Buffer} buffer
+   * @returns {Object}
+   * @throws Errors if the protocol is still being loaded by `loadAsync`.
+   */
+  frame(buffer) {
+    const code = buffer.readUInt16LE(2);
+    const frame = { code, name: null, buffer };
+
+    if (this.protocol && this.version != null) {
+      this.protocol.ensureLoaded();
+      const map = this.protocol.maps.get(this.version);
+      if (map && map.code.has(code)) frame.name = map.code.get(code);
+    }
+
+    if (this.shouldParse && frame.name) {
+      try {
+        frame.data = this.protocol.parse(this.version, frame.name, buffer);
+      } catch (err) {
+        log.warn(`[protocol] framer - failed to parse ${frame.name}: ${err.message}`);
+        frame.error = err;
+      }
+    }
+
+    return frame;
+  }
+}
+
+module.exports = Framer;
@@ -1,23 +1,323 @@
 // requires
-const fs = require('fs');
-const path = require('path');
-const util = require('util');
-
 const log = require('../logger');
+const bundle = require('../bundle');
+const diagnostics = require('../diagnostics');
+const Loader = require('../loader');
+const manifest = require('../manifest');
+const sources = require('../sources');
 const Stream = require('./stream');
+const compile = require('./compiler');
+const conditions = require('./conditions');
+const describeDefinition = require('./describe');
+const dump = require('./dump');
+const enums = require('./enums');
+const Framer = require('./framer');
+const json = require('./json');
+const query = require('./query');
+const validate = require('./validator');
 const defParser = require('../parsers/def');
+const enumParser = require('../parsers/enum');
 const mapParser = require('../parsers/map');
 
 // constants
 const PATH_MAPS = 'map';
 const PATH_DEFS = 'protocol';
+const PATH_ENUMS = 'enum';
+const REPORT = Symbol('tera-data-parser.report');
+
+// helper functions
+/**
+ * Lists a directory that tera-data doesn't need to have.
+ * @private
+ * @param {Object} reader As returned by `sources.syncReader`.
+ * @param {String} dir
+ * @returns {String[]}
+ */
+function listOptional(reader, dir) {
+  try {
+    return reader.list(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Builds the parse report from the anomalies collected while reading.
+ * @private
+ * @param {Object} anomalies As collected on `Stream.Readable#anomalies`.
+ * @param {Stream.Readable} reader
+ * @param {String} displayName Prefix to strip from recorded paths.
+ * @returns {Object}
+ */
+function buildReport(anomalies, reader, displayName, unknownValues) {
+  const keyPath = path => path.slice(displayName.length + 1);
+
+  return {
+    bytesRemaining: Math.max(0, reader.buffer.length - reader.position),
+    skipped: anomalies.skipped,
+    offsetCorrections: anomalies.offsetCorrections.map(({ path, position, expected }) => (
+      { keyPath: keyPath(path), position, expected }
+    )),
+    countMismatches: anomalies.countMismatches.map(({ path, expected, found }) => (
+      { keyPath: keyPath(path), expected, found }
+    )),
+    unknownValues,
+  };
+}
+
+/**
+ * Lists the anomalies in a parse report as human-readable lines.
+ * @private
+ * @param {Object} report
+ * @param {Number} end Position the reader stopped at.
+ * @returns {String[]}
+ */
+function describeReport(report, end) {
+  return [].concat(
+    report.bytesRemaining ? [`${report.bytesRemaining} bytes remaining at ${end}`] : [],
+    report.skipped.map(({ start, end: to }) => `skipped ${to - start} bytes at ${start}`),
+    report.offsetCorrections.map(({ keyPath, position, expected }) => (
+      `offset correction for "${keyPath}" at ${position} (expected ${expected})`
+    )),
+    report.countMismatches.map(({ keyPath, expected, found }) => (
+      `count mismatch for "${keyPath}": expected ${expected} elements, found ${found}`
+    )),
+    report.unknownValues.map(({ keyPath, enum: enumName, value }) => (
+      `unknown ${enumName} value ${value} for "${keyPath}"`
+    ))
+  );
+}
+
+/**
+ * Given a definition object and a data object, efficiently compute the byte
+ * length for the resulting data buffer.
+ * @private
+ * @param {Object} definition
+ * @param {Object} data
+ * @returns {Number}
+ * @throws Errors if a type specified in the `definition` is not recognized.
+ */
+function getLength(definition, data = {}) {
+  return compile(definition).length(data);
+}
+
+/**
+ * Sorts directory listings into the map, definition and enum files to load,
+ * warning about files with invalid names.
+ * @private
+ * @param {Object} reader A reader returned by `sources.syncReader` or
+ * `sources.asyncReader`.
+ * @param {String[]} mapFiles
+ * @param {String[]} defFiles
+ * @param {String[]} enumFiles
+ * @param {Object[]} [problems] Collects diagnostics, if given.
+ * @returns {Object} `{ maps, defs, enums }` lists of `{ file, fullpath }`,
+ * where `file` is relative to the source and `fullpath` is its label, plus
+ * `version` for maps, `name` and `version` for definitions, and `name` and
+ * `type` (`enum` or `flags`) for enums.
+ */
+function findFiles(reader, mapFiles, defFiles, enumFiles, problems = null) {
+  const maps = [];
+  const defs = [];
+  const enumDeclarations = [];
+
+  for (const name of mapFiles) {
+    const file = `${PATH_MAPS}/${name}`;
+    const fullpath = reader.label(file);
+
+    const parsedName = name.match(/^protocol.(\d+)\.map$/);
+    if (!parsedName) {
+      if (name.startsWith('protocol.') && name.endsWith('.map')) {
+        diagnostics.report(problems, {
+          severity: 'error',
+          code: 'invalid-filename',
+          message: 'invalid filename syntax',
+          file: fullpath,
+        });
+        log.warn(`[protocol] load (map) - invalid filename syntax "${fullpath}"`);
+      } else {
+        log.debug(`[protocol] load (map) - skipping path "${fullpath}"`);
+      }
+      continue;
+    }
+
+    maps.push({ file, fullpath, version: parseInt(parsedName[1], 10) });
+  }
+
+  for (const name of defFiles) {
+    const file = `${PATH_DEFS}/${name}`;
+    const fullpath = reader.label(file);
+
+    const parsedName = name.match(/^(\w+)\.(\d+)\.def$/);
+    if (!parsedName) {
+      if (name.endsWith('.def')) {
+        diagnostics.report(problems, {
+          severity: 'error',
+          code: 'invalid-filename',
+          message: 'invalid filename syntax',
+          file: fullpath,
+        });
+        log.warn(`[protocol] load (def) - invalid filename syntax "${fullpath}"`);
+      } else {
+        log.debug(`[protocol] load (def) - skipping path "${fullpath}"`);
+      }
+      continue;
+    }
+
+    defs.push({
+      file,
+      fullpath,
+      name: parsedName[1],
+      version: parseInt(parsedName[2], 10),
+    });
+  }
 
-class TeraProtocol {
+  for (const name of enumFiles) {
+    const file = `${PATH_ENUMS}/${name}`;
+    const fullpath = reader.label(file);
+
+    const parsedName = name.match(/^(\w+)\.(enum|flags)$/);
+    if (!parsedName) {
+      if (name.endsWith('.enum') || name.endsWith('.flags')) {
+        diagnostics.report(problems, {
+          severity: 'error',
+          code: 'invalid-filename',
+          message: 'invalid filename syntax',
+          file: fullpath,
+        });
+        log.warn(`[protocol] load (enum) - invalid filename syntax "${fullpath}"`);
+      } else {
+        log.debug(`[protocol] load (enum) - skipping path "${fullpath}"`);
+      }
+      continue;
+    }
+
+    enumDeclarations.push({
+      file,
+      fullpath,
+      name: parsedName[1],
+      type: parsedName[2],
+    });
+  }
+
+  return { maps, defs, enums: enumDeclarations };
+}
+
+/**
+ * Warns about definitions for messages that are not in any map.
+ * @private
+ * @param {Object} files As returned by `findFiles`.
+ * @param {Object[]} mappings Parsed maps, in the same order as `files.maps`.
+ * @param {Object[]} [problems] Collects diagnostics, if given.
+ */
+function checkMapped(files, mappings, problems = null) {
+  const mappedMessages = new Set();
+
+  for (const mapping of mappings) {
+    for (const name of mapping.name.keys()) {
+      mappedMessages.add(name);
+    }
+  }
+
+  for (const { fullpath, name } of files.defs) {
+    if (!mappedMessages.has(name)) {
+      diagnostics.report(problems, {
+        severity: 'warning',
+        code: 'unmapped-message',
+        message: `unmapped message "${name}"`,
+        file: fullpath,
+      });
+      log.warn(`[protocol] load - unmapped message "${name}"`);
+    }
+  }
+}
+
+/**
+ * Warns about definitions that use enums which are not declared.
+ * @private
+ * @param {Object} files As returned by `findFiles`.
+ * @param {Array[]} definitions Parsed definitions, in the same order as
+ * `files.defs`.
+ * @param {Object[]} [problems] Collects diagnostics, if given.
+ */
+function checkEnums(files, definitions, problems = null) {
+  const declared = new Set(files.enums.map(({ name }) => name));
+
+  const check = (definition, fullpath) => {
+    for (const [key, type, fieldOptions] of definition) {
+      if (Array.isArray(type)) {
+        check(type, fullpath);
+      } else if (fieldOptions && fieldOptions.enum && !declared.has(fieldOptions.enum)) {
+        diagnostics.report(problems, {
+          severity: 'warning',
+          code: 'unknown-enum',
+          message: `undeclared enum "${fieldOptions.enum}" for "${key}"`,
+          file: fullpath,
+        });
+        log.warn(`[protocol] load - undeclared enum "${fieldOptions.enum}" for "${key}" in "${fullpath}"`);
+      }
+    }
+  };
+
+  files.defs.forEach(({ fullpath }, i) => {
+    if (definitions[i]) check(definitions[i], fullpath);
+  });
+}
+
+/**
+ * Lists the files read by `loadAsync`.
+ * @private
+ * @param {Object} reader A reader returned by `sources.asyncReader`.
+ * @param {Object[]} [problems] Collects diagnostics, if given.
+ * @returns {Promise<Object>} `{ entries, finish }`, see `Loader#loadAsync`.
+ */
+function prepareLoadAsync(reader, problems) {
+  const enumFiles = reader.list(PATH_ENUMS).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+
+  const listings = [reader.list(PATH_MAPS), reader.list(PATH_DEFS), enumFiles, reader.list('')];
+  return Promise.all(listings).then(([mapFiles, defFiles, enumNames, rootFiles]) => {
+    const files = findFiles(reader, mapFiles, defFiles, enumNames, problems);
+    const manifestFile = manifest.findManifest(reader, rootFiles);
+    const entries = [].concat(
+      files.maps.map(entry => ({ entry, parser: mapParser.parseMapString })),
+      files.defs.map(entry => ({ entry, parser: defParser.parseDefString })),
+      files.enums.map(entry => ({ entry, parser: enumParser.parseEnumString })),
+      manifestFile ? [{ entry: manifestFile, parser: manifest.parseManifestString }] : []
+    );
+
+    const finish = (parsed) => {
+      const versions = manifestFile ? parsed.pop() : [];
+      const declarations = parsed.splice(files.maps.length + files.defs.length);
+      const definitions = parsed.splice(files.maps.length);
+      const mappings = parsed;
+
+      checkMapped(files, mappings, problems);
+      checkEnums(files, definitions, problems);
+      return [files, mappings, definitions, versions, declarations];
+    };
+
+    return { entries, finish };
+  });
+}
+
+class TeraProtocol extends Loader {
   constructor() {
+    super('protocol', 'the protocol', prepareLoadAsync);
+
     this.maps = new Map();
     this.messages = new Map();
-
-    this.loaded = false;
+    this.enums = new Map();
+    this.versions = [];
+
+    /**
+     * Symbol under which `parse` attaches its report with `options.report`.
+     * @type {Symbol}
+     */
+    Object.defineProperty(this, 'REPORT', { value: REPORT });
   }
 
   // helper functions
@@ -36,14 +336,13 @@ class TeraProtocol {
    * @throws Errors if a `definition` cannot be found.
    */
   resolveIdentifier(protocolVersion, identifier, definitionVersion = '*', defaultName = '<Object>') {
-    const { maps, messages, loaded } = this;
+    const { maps, messages } = this;
     let name;
     let code;
     let version;
     let definition;
 
-    // lazy load
-    if (!loaded) this.load();
+    this.ensureLoaded();
 
     if (Array.isArray(identifier)) {
       name = defaultName;
@@ -97,169 +396,184 @@ class TeraProtocol {
       throw new Error(`no definition found for message (name: "${name}", code: ${code}, version: ${version})`);
     }
 
+    definition = conditions.select(definition, protocolVersion);
     return { name, code, version, definition };
   }
 
   /**
-   * Given a definition object and a data object, efficiently compute the byte
-   * length for the resulting data buffer.
+   * Replaces the loaded maps and messages with newly parsed ones.
    * @private
-   * @param {Object} definition
-   * @param {Object} data
-   * @returns {Number}
-   * @throws Errors if a type specified in the `definition` is not recognized.
+   * @param {Object} files As returned by `findFiles`.
+   * @param {Object[]} mappings Parsed maps, in the same order as `files.maps`.
+   * @param {Array[]} definitions Parsed definitions, in the same order as
+   * `files.defs`.
+   * @param {Object[]} versions Parsed version manifest entries.
+   * @param {Object[]} declarations Parsed enums, in the same order as
+   * `files.enums`.
    */
-  getLength(definition, data = {}) {
-    const SIZES = {
-      bool: 1,
-      byte: 1,
-
-      int16: 2,
-      uint16: 2,
-      count: 2,
-      offset: 2,
-
-      int32: 4,
-      uint32: 4,
-      float: 4,
-
-      int64: 8,
-      uint64: 8,
-      double: 8,
-    };
-
-    let length = 0;
+  applyLoad(files, mappings, definitions, versions, declarations) {
+    const { maps, messages } = this;
+    this.versions = versions;
 
-    for (const [key, type] of definition) {
-      const val = data[key];
-      if (Array.isArray(type)) {
-        switch (type.type) {
-          case 'array': {
-            if (Array.isArray(val)) {
-              for (const elem of val) {
-                // here + next offsets + recurisve length
-                length += 4 + this.getLength(type, elem);
-              }
-            }
-            break;
-          }
+    // reset maps, messages and enums
+    maps.clear();
+    messages.clear();
+    this.enums.clear();
 
-          case 'object': {
-            length += this.getLength(type, val);
-            break;
-          }
+    files.enums.forEach(({ name, type }, i) => {
+      this.enums.set(name, Object.assign({ type }, declarations[i]));
+    });
 
-          default: {
-            // TODO warn/throw?
-            break;
-          }
-        }
-      } else {
-        switch (type) {
-          case 'bytes': {
-            if (val) length += val.length;
-            break;
-          }
+    files.maps.forEach(({ version }, i) => {
+      if (mappings[i]) maps.set(version, mappings[i]);
+    });
 
-          case 'string': {
-            // utf+16 + null byte
-            length += ((val || '').length + 1) * 2;
-            break;
-          }
+    files.defs.forEach(({ name, version }, i) => {
+      const definition = definitions[i];
+      if (!definition) return;
 
-          default: {
-            const size = SIZES[type];
-            if (size) {
-              length += size;
-            } else {
-              throw new Error(`unknown type: ${type}`);
-            }
-            break;
-          }
-        }
-      }
-    }
+      if (!messages.has(name)) messages.set(name, new Map());
+      messages.get(name).set(version, definition);
+    });
 
-    return length;
+    this.loaded = true;
   }
 
-  // public methods
   /**
-   * Loads (or reloads) the opcode mapping and message definitions.
-   * @param {String} [basePath] Path to the base package.json.
+   * Replaces the loaded maps and messages with those from a bundle.
+   * @private
+   * @param {Object} data A validated bundle.
+   * @throws Errors if the bundle has no protocol data.
    */
-  load(basePath = require.resolve('tera-data')) {
-    const { maps, messages } = this;
+  applyBundle(data) {
+    if (!data.protocol) throw new Error('[protocol] load - bundle contains no protocol data');
 
-    if (path.basename(basePath) === 'package.json') {
-      basePath = path.dirname(basePath);
-    }
+    const unpacked = bundle.unpack(data.protocol);
+    const { maps, messages } = unpacked;
+    this.versions = unpacked.versions;
 
-    const mappedMessages = new Set();
-
-    // reset maps and messages
-    maps.clear();
-    messages.clear();
-
-    // read map
-    const mapPath = path.join(basePath, PATH_MAPS);
-    const mapFiles = fs.readdirSync(mapPath);
-    for (const file of mapFiles) {
-      const fullpath = path.join(mapPath, file);
-
-      const parsedName = path.basename(file).match(/^protocol.(\d+)\.map$/);
-      if (!parsedName) {
-        if (file.startsWith('protocol.') && file.endsWith('.map')) {
-          log.warn(`[protocol] load (map) - invalid filename syntax "${fullpath}"`);
-        } else {
-          log.debug(`[protocol] load (map) - skipping path "${fullpath}"`);
-        }
-        continue;
-      }
+    this.maps.clear();
+    this.messages.clear();
+    this.enums.clear();
+    for (const [version, map] of maps) this.maps.set(version, map);
+    for (const [name, versions] of messages) this.messages.set(name, versions);
+    for (const [name, declaration] of unpacked.enums) this.enums.set(name, declaration);
 
-      const version = parseInt(parsedName[1], 10);
-      const mapping = mapParser(fullpath);
-      if (!mapping) continue;
+    this.loaded = true;
+  }
 
-      maps.set(version, mapping);
+  // public methods
+  /**
+   * Loads (or reloads) the opcode mapping and message definitions.
+   * @param {String|Object} [basePath] Path to the base package.json, a source
+   * (see `sources`), or a bundle (object or file path) created by `tera-bundle`.
+   * @param {Object} [options]
+   * @param {Boolean} [options.diagnostics] Return the list of diagnostics
+   * (`{ severity, file, line, column, code, message }`) instead of `true`.
+   * @param {Boolean} [options.strict] Throw if any diagnostic is an error,
+   * keeping the previously loaded data.
+   * @param {String} [options.duplicates] How to handle names or opcodes that
+   * are mapped more than once: `warn` (default), `error`, `first-wins` or
+   * `last-wins`. See `parseMapString`.
+   * @returns {Boolean|Object[]}
+   */
+  load(basePath = require.resolve('tera-data'), options = {}) {
+    const problems = (options.diagnostics || options.strict) ? [] : null;
 
-      for (const name of mapping.name.keys()) {
-        mappedMessages.add(name);
-      }
+    if (!sources.isSource(basePath) && bundle.isBundle(basePath)) {
+      this.applyBundle(bundle.read(basePath));
+      return options.diagnostics ? problems : true;
     }
 
-    // read protocol directory
-    const defPath = path.join(basePath, PATH_DEFS);
-    const defFiles = fs.readdirSync(defPath);
-    for (const file of defFiles) {
-      const fullpath = path.join(defPath, file);
-
-      const parsedName = path.basename(file).match(/^(\w+)\.(\d+)\.def$/);
-      if (!parsedName) {
-        if (file.endsWith('.def')) {
-          log.warn(`[protocol] load (def) - invalid filename syntax "${fullpath}"`);
-        } else {
-          log.debug(`[protocol] load (def) - skipping path "${fullpath}"`);
-        }
-        continue;
-      }
-
-      const name = parsedName[1];
-      const version = parseInt(parsedName[2], 10);
+    const reader = sources.syncReader(sources.resolveSource(basePath));
+    const files = findFiles(
+      reader,
+      reader.list(PATH_MAPS),
+      reader.list(PATH_DEFS),
+      listOptional(reader, PATH_ENUMS),
+      problems
+    );
+
+    const parserOptions = { diagnostics: problems, duplicates: options.duplicates };
+    const mappings = files.maps.map(({ file, fullpath }) =>
+      mapParser.parseMapString(reader.read(file), fullpath, parserOptions));
+    const definitions = files.defs.map(({ file, fullpath }) =>
+      defParser.parseDefString(reader.read(file), fullpath, parserOptions));
+    const declarations = files.enums.map(({ file, fullpath }) =>
+      enumParser.parseEnumString(reader.read(file), fullpath, parserOptions));
+
+    const manifestFile = manifest.findManifest(reader, reader.list(''));
+    const versions = manifestFile ? manifest.parseManifestString(
+      reader.read(manifestFile.file),
+      manifestFile.fullpath,
+      parserOptions
+    ) : [];
+
+    checkMapped(files, mappings, problems);
+    checkEnums(files, definitions, problems);
+    if (options.strict) diagnostics.assertNoErrors(problems, '[protocol] load');
+
+    this.applyLoad(files, mappings, definitions, versions, declarations);
+    return options.diagnostics ? problems : true;
+  }
 
-      const definition = defParser(fullpath);
-      if (!definition) continue;
+  /**
+   * Describes the fields of a message definition.
+   * @param {Number} protocolVersion
+   * @param {String|Number} identifier Message name or opcode.
+   * @param {Number} [definitionVersion] Defaults to the latest version.
+   * @returns {Object} `{ name, code, version, size, fields }`, where `size` is
+   * the fixed payload size (excluding the header) or `null` if it varies, and
+   * `fields` is a tree as described in `protocol/describe`.
+   */
+  describe(protocolVersion, identifier, definitionVersion = '*') {
+    const { name, code, version, definition } =
+      this.resolveIdentifier(protocolVersion, identifier, definitionVersion);
+    const fields = describeDefinition(definition);
+    const fixed = fields.every(field => field.size !== null);
+
+    return {
+      name,
+      code,
+      version,
+      size: fixed ? fields.reduce((total, field) => total + field.size, 0) : null,
+      fields,
+    };
+  }
 
-      if (!messages.has(name)) messages.set(name, new Map());
-      messages.get(name).set(version, definition);
+  /**
+   * Lists the names of all messages that have a definition.
+   * @returns {String[]} Sorted names.
+   */
+  listMessages() {
+    this.ensureLoaded();
+    return [...this.messages.keys()].sort();
+  }
 
-      if (!mappedMessages.has(name)) {
-        log.warn(`[protocol] load - unmapped message "${name}"`);
-      }
-    }
+  /**
+   * Lists the definition versions of a message.
+   * @param {String} name
+   * @returns {Number[]} Versions in ascending order, or an empty list if the
+   * message has no definition.
+   */
+  listVersions(name) {
+    this.ensureLoaded();
+    const versions = this.messages.get(name);
+    return versions ? [...versions.keys()].sort((a, b) => a - b) : [];
+  }
 
-    this.loaded = true;
-    return true;
+  /**
+   * Finds the protocol version used by a game client, using the version
+   * manifest (`versions.json`) loaded from tera-data.
+   * @param {Number|String|Object} clientInfo A client build number, a patch
+   * identifier, an object with `build` and/or `patch`, or a parsed
+   * `C_CHECK_VERSION` message.
+   * @returns {Number}
+   * @throws Errors if the client is not in the manifest.
+   */
+  resolveVersion(clientInfo) {
+    this.ensureLoaded();
+    return manifest.resolveVersion(this.versions, 'protocol', clientInfo);
   }
 
   /**
@@ -268,120 +582,187 @@ class TeraProtocol {
    * @param {Number} [definitionVersion]
    * @param {Buffer|Stream.Readable} [reader]
    * @param {String} [customName]
+   * @param {Object} [options] May also be passed in place of `customName`.
+   * @param {String[]} [options.fields] Only decode these top level fields.
+   * @param {Boolean} [options.lazy] Return an object whose fields are only
+   * decoded on first access. The reader's position is not advanced.
+   * @param {Boolean} [options.strictStrings] Throw on unpaired surrogates.
+   * @param {Boolean} [options.report] Attach a report of anomalies to the
+   * result, under the `protocol.REPORT` symbol (not with `fields`/`lazy`):
+   * - `bytesRemaining`: bytes left in the buffer after the last field.
+   * - `skipped`: `{ start, end }` regions jumped over by offset corrections.
+   * - `offsetCorrections`: `{ keyPath, position, expected }` for fields that
+   * did not start where their `offset` pointed.
+   * - `countMismatches`: `{ keyPath, expected, found }` for arrays whose
+   * element count differs from their `count`.
+   * - `unknownValues`: `{ keyPath, enum, value }` for enum fields holding
+   * undeclared values (for flags, `value` holds the unknown bits).
+   * @param {Boolean} [options.strict] Throw if there are any anomalies. The
+   * error has the report in `err.report`.
+   * @param {Boolean} [options.enums] Decode enum fields to names and flags
+   * fields to arrays of names (not with `lazy`). Undeclared values are kept
+   * as numbers, with a warning.
    * @returns {Object}
    */
-  parse(protocolVersion, identifier, definitionVersion, reader, customName) {
+  parse(protocolVersion, identifier, definitionVersion, reader, customName, options = {}) {
     // parse params
     if (Buffer.isBuffer(definitionVersion)) {
+      options = customName || options;
+      customName = reader;
       reader = definitionVersion;
       definitionVersion = '*';
     }
 
+    if (customName && typeof customName === 'object') {
+      options = customName;
+      customName = undefined;
+    }
+
     const { name, version, definition } =
       this.resolveIdentifier(protocolVersion, identifier, definitionVersion, customName);
     const displayName = (version !== '?') ? `${name}<${version}>` : name;
 
     // convert `reader` to a stream
     if (Buffer.isBuffer(reader)) {
-      reader = new Stream.Readable(reader, 4);
+      reader = new Stream.Readable(reader, 4, options);
     }
 
-    // begin parsing
-    const count = new Map();
-    const offset = new Map();
-
-    const parseField = ([key, type], data, keyPathBase = '') => {
-      const keyPath = (keyPathBase !== '') ? `${keyPathBase}.${key}` : key;
-
-      if (Array.isArray(type)) {
-        if (type.type === 'object') {
-          data[key] = {};
-          for (const f of type) {
-            parseField(f, data[key], keyPath);
-          }
-          return;
-        }
+    const compiled = compile(definition);
+
+    if (options.lazy) {
+      const { buffer, position } = reader;
+      const data = {};
+
+      for (const key of compiled.keys) {
+        const set = (value) => {
+          Object.defineProperty(data, key, {
+            value,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+          });
+        };
+
+        Object.defineProperty(data, key, {
+          get: () => {
+            const fieldReader = new Stream.Readable(buffer, position, options);
+            const value = compiled.readFields(fieldReader, displayName, [key])[key];
+            set(value);
+            return value;
+          },
+          set,
+          enumerable: true,
+          configurable: true,
+        });
+      }
 
-        // handle array type
-        const length = count.get(keyPath);
-        const array = new Array(length);
-        let index = 0;
-        let next = offset.get(keyPath);
-
-        while (next) {
-          let pos = reader.position;
-          if (pos !== next) {
-            log.warn(`[protocol] parse - ${displayName}: offset mismatch for array "${keyPath}" at ${reader.position} (expected ${next})`);
-            reader.seek(next);
-            pos = next;
-          }
+      return data;
+    }
 
-          const here = reader.uint16();
-          if (pos !== here) {
-            throw new Error(`${displayName}.${keyPath}: cannot find next element of array at ${pos} (found value ${here})`);
-          }
+    if (options.fields) {
+      const data = compiled.readFields(reader, displayName, options.fields);
+      return this.decodeEnums(definition, data, displayName, options);
+    }
 
-          next = reader.uint16();
-          array[index++] = this.parse(null, type, null, reader, `${displayName}.${keyPath}`);
+    if (!options.report && !options.strict) {
+      return this.decodeEnums(definition, compiled.read(reader, displayName), displayName, options);
+    }
 
-          if (next && index === length) {
-            log.warn(`[protocol] parse - ${displayName}.${keyPath}: found out of bounds element ${index} (expected max ${length})`);
-          }
-        }
+    const anomalies = { skipped: [], offsetCorrections: [], countMismatches: [] };
+    let data;
+    reader.anomalies = anomalies;
+    try {
+      data = compiled.read(reader, displayName);
+    } finally {
+      reader.anomalies = null;
+    }
 
-        data[key] = array;
-      } else {
-        // handle primitive type
-        switch (type) {
-          case 'count': {
-            count.set(keyPath, reader.uint16());
-            break;
-          }
+    const unknownValues = [];
+    this.decodeEnums(definition, data, displayName, options, unknownValues);
 
-          case 'offset': {
-            offset.set(keyPath, reader.uint16());
-            break;
-          }
+    const report = buildReport(anomalies, reader, displayName, unknownValues);
 
-          default: {
-            if (offset.has(keyPath)) {
-              const ofs = offset.get(keyPath);
-              if (reader.position !== ofs) {
-                log.warn(`[protocol] parse - ${displayName}: offset mismatch for "${keyPath}" at ${reader.position} (expected ${ofs})`);
-                reader.seek(ofs);
-              }
-            }
-
-            data[key] = reader[type](count.get(keyPath));
-            break;
-          }
-        }
+    if (options.strict) {
+      const problems = describeReport(report, reader.position);
+      if (problems.length > 0) {
+        const err = new Error([
+          `[protocol] parse - ${displayName}: ${problems.length} anomal${problems.length !== 1 ? 'ies' : 'y'} found`,
+          ...problems.map(problem => `  ${problem}`),
+        ].join('\n'));
+        err.report = report;
+        throw err;
       }
-    };
+    }
 
-    const data = {};
-    for (const field of definition) {
-      parseField(field, data, []);
+    if (options.report) {
+      Object.defineProperty(data, REPORT, { value: report, configurable: true });
     }
+
     return data;
   }
 
   /**
+   * Decodes the enum fields of parsed data, if asked to, and collects
+   * undeclared values.
+   * @private
+   * @param {Array} definition
+   * @param {Object} data Modified in place.
+   * @param {String} displayName
+   * @param {Object} options `parse` options.
+   * @param {Object[]} [unknownValues] Collects `{ keyPath, enum, value }`.
+   * @returns {Object} `data`.
+   */
+  decodeEnums(definition, data, displayName, options, unknownValues = null) {
+    if ((!options.enums && !unknownValues) || !enums.hasEnums(definition)) return data;
+
+    return enums.decode(definition, data, this.enums, {
+      replace: !!options.enums,
+      onUnknown: (unknown) => {
+        if (unknownValues) unknownValues.push(unknown);
+        if (options.enums) {
+          log.warn(`[protocol] parse - ${displayName}: unknown ${unknown.enum} value ${unknown.value} for "${unknown.keyPath}"`);
+        }
+      },
+    });
+  }
+
+  /**
+   * Fields with an enum accept names as well as numbers (see `parse`).
    * @param {Number} protocolVersion
    * @param {String|Number|Object} identifier
    * @param {Number} [definitionVersion]
    * @param {Object} data
    * @param {Stream.Writeable} [writer]
    * @param {String} [customName]
+   * @param {Object} [options] May also be passed in place of `writer` or
+   * `customName`.
+   * @param {Boolean} [options.strict] Validate `data` against the definition
+   * before writing anything.
+   * @param {Boolean} [options.strictStrings] Throw on unpaired surrogates.
    * @returns {Buffer}
+   * @throws Errors if `options.strict` is set and `data` is invalid. The error
+   * lists every problem found, which are also available as `err.problems`.
    */
-  write(protocolVersion, identifier, definitionVersion, data, writer, customName) {
+  write(protocolVersion, identifier, definitionVersion, data, writer, customName, options = {}) {
     // parse args
-    if (typeof definitionVersion === 'object') {
+    if (definitionVersion && typeof definitionVersion === 'object') {
+      options = customName || options;
+      customName = writer;
+      writer = data;
       data = definitionVersion;
       definitionVersion = '*';
     }
 
+    if (writer && !(writer instanceof Stream.Writeable)) {
+      options = writer;
+      writer = undefined;
+    }
+
+    if (customName && typeof customName === 'object') {
+      options = customName;
+      customName = undefined;
+    }
+
     if (!definitionVersion) definitionVersion = '*';
     if (!data) data = {};
 
@@ -389,6 +770,28 @@ class TeraProtocol {
       this.resolveIdentifier(protocolVersion, identifier, definitionVersion, customName);
     const displayName = (version !== '?') ? `${name}<${version}>` : name;
 
+    if (enums.hasEnums(definition)) {
+      try {
+        data = enums.encode(definition, data, this.enums);
+      } catch (err) {
+        err.message = `[protocol] write - ${displayName}: ${err.message}`;
+        throw err;
+      }
+    }
+
+    // validate everything up front
+    if (options.strict) {
+      const problems = validate(definition, data);
+      if (problems.length > 0) {
+        const err = new Error([
+          `[protocol] write - ${displayName}: invalid data (${problems.length} problem${problems.length !== 1 ? 's' : ''})`,
+          ...problems.map(({ keyPath, message }) => `  ${keyPath || '<root>'}: ${message}`),
+        ].join('\n'));
+        err.problems = problems;
+        throw err;
+      }
+    }
+
     // set up optional arg `writer`
     if (!writer) {
       // make sure `code` is valid
@@ -397,124 +800,163 @@ class TeraProtocol {
       }
 
       // set up stream
-      const length = 4 + this.getLength(definition, data);
-      writer = new Stream.Writeable(length);
+      const length = 4 + getLength(definition, data);
+      writer = new Stream.Writeable(length, options);
       writer.uint16(length);
       writer.uint16(code);
     }
 
-    // begin writing
-    const count = new Map();
-    const offset = new Map();
+    compile(definition).write(writer, data, displayName);
+    return writer.buffer;
+  }
 
-    const writeField = ([key, type], dataObj, keyPathBase = '') => {
-      const value = dataObj[key];
-      const keyPath = (keyPathBase !== '') ? `${keyPathBase}.${key}` : key;
+  /**
+   * Formats a message as an annotated hex dump, showing which field (and type
+   * and value) each byte range was read as, array element headers, offset
+   * jumps, bytes that were never read or read twice, and where parsing failed.
+   * @param {Number} protocolVersion
+   * @param {String|Number|null} identifier Message name or opcode; if `null`,
+   * the opcode in the message header is used.
+   * @param {Number} [definitionVersion] Defaults to the latest version.
+   * @param {Buffer} buffer The whole message, including its header.
+   * @returns {String}
+   */
+  dump(protocolVersion, identifier, definitionVersion, buffer) {
+    if (Buffer.isBuffer(definitionVersion)) {
+      buffer = definitionVersion;
+      definitionVersion = '*';
+    }
 
-      // `type` is array or object
-      if (Array.isArray(type)) {
-        if (type.type === 'object') {
-          for (const field of type) {
-            writeField(field, value || {}, keyPath);
-          }
-          return;
-        }
+    if (identifier == null) identifier = buffer.readUInt16LE(2);
 
-        if (!value) return;
+    const { name, code, version, definition } =
+      this.resolveIdentifier(protocolVersion, identifier, definitionVersion);
+    const title = `${name}<${version}> (code ${code}, ${buffer.length} bytes)`;
 
-        const length = value.length;
-        if (length !== 0) {
-          // write length in header
-          const here = writer.position;
-          writer.seek(count.get(keyPath));
-          writer.uint16(length);
-          writer.seek(here);
+    return dump.format(dump.trace(definition, buffer), buffer, title);
+  }
 
-          // iterate elements
-          let last = offset.get(keyPath);
-          for (const element of value) {
-            // write position in last element (or header)
-            const hereElem = writer.position;
-            writer.seek(last);
-            writer.uint16(hereElem);
-            writer.seek(hereElem);
+  /**
+   * Converts parsed message data to plain JSON-safe values: 64-bit integers
+   * become decimal strings and `bytes` become hex (or base64) strings.
+   * @param {Number} protocolVersion
+   * @param {String|Number|Object} identifier
+   * @param {Number} [definitionVersion] Defaults to the latest version.
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {String} [options.bytes] `hex` (default) or `base64`.
+   * @returns {Object}
+   */
+  toJSON(protocolVersion, identifier, definitionVersion, data, options = {}) {
+    return this.convertJSON('toJSON', protocolVersion, identifier, definitionVersion, data, options);
+  }
 
-            // write position in current element
-            writer.uint16(hereElem);
+  /**
+   * Reverses `toJSON`, returning data that can be passed to `write`.
+   * @param {Number} protocolVersion
+   * @param {String|Number|Object} identifier
+   * @param {Number} [definitionVersion] Defaults to the latest version.
+   * @param {Object} data The output of `toJSON`.
+   * @param {Object} [options]
+   * @param {String} [options.bytes] `hex` (default) or `base64`.
+   * @returns {Object}
+   */
+  fromJSON(protocolVersion, identifier, definitionVersion, data, options = {}) {
+    return this.convertJSON('fromJSON', protocolVersion, identifier, definitionVersion, data, options);
+  }
 
-            // store position pointing to next element
-            last = writer.position;
+  /**
+   * Shared by `toJSON` and `fromJSON`.
+   * @private
+   */
+  convertJSON(method, protocolVersion, identifier, definitionVersion, data, options) {
+    // parse args
+    if (definitionVersion && typeof definitionVersion === 'object') {
+      options = data || options;
+      data = definitionVersion;
+      definitionVersion = '*';
+    }
 
-            // write placeholder position
-            writer.uint16(0);
+    if (!definitionVersion) definitionVersion = '*';
 
-            // recurse
-            this.write(null, type, version, element, writer, `${displayName}.${keyPath}`);
-          }
-        }
-      // `type` is primitive
-      } else {
-        switch (type) {
-          // save position and write placeholders for count and offset
-          case 'count': {
-            count.set(keyPath, writer.position);
-            writer.uint16(0);
-            break;
-          }
+    const { name, version, definition } =
+      this.resolveIdentifier(protocolVersion, identifier, definitionVersion);
+    const displayName = (version !== '?') ? `${name}<${version}>` : name;
 
-          case 'offset': {
-            offset.set(keyPath, writer.position);
-            writer.uint16(0);
-            break;
-          }
+    try {
+      return json[method](definition, data || {}, options);
+    } catch (err) {
+      err.message = `[protocol] ${method} - ${displayName}: ${err.message}`;
+      throw err;
+    }
+  }
 
-          // otherwise,
-          default: {
-            // update count
-            if (count.has(keyPath) && value) {
-              const here = writer.position;
-              writer.seek(count.get(keyPath));
-              writer.uint16(value.length);
-              writer.seek(here);
-            }
-
-            // update offset
-            if (offset.has(keyPath)) {
-              const here = writer.position;
-              writer.seek(offset.get(keyPath));
-              writer.uint16(here);
-              writer.seek(here);
-            }
-
-            // write it
-            try {
-              writer[type](value);
-            } catch (err) {
-              err.message = [
-                `[protocol] write - ${displayName}: error writing "${keyPath}" (type: ${type})`,
-                `data: ${util.inspect(value)}`,
-                `reason: ${err.message}`,
-              ].join('\n');
-              throw err;
-            }
-          }
-        }
-      }
-    };
+  /**
+   * Compiles a query expression (see `query.compileQuery`) for a message, such
+   * as `skill in [1100, 1101] and gameId == 12345`. Key paths are checked
+   * against the definition, and enum fields may be compared with names.
+   * @param {Number} protocolVersion
+   * @param {String|Number|Object} identifier
+   * @param {Number} [definitionVersion] Defaults to the latest version.
+   * @param {String} expression
+   * @returns {Object} An object with the following properties:
+   * - `name`, `code`, `version`: the resolved message.
+   * - `keys`: the top level fields the expression refers to.
+   * - `test(data)`: whether parsed `data` matches.
+   * - `testBuffer(buffer)`: whether a whole message (header included)
+   * matches, decoding only `keys`. Messages with another opcode never match.
+   * @throws Errors describing syntax errors and unknown key paths.
+   */
+  createQuery(protocolVersion, identifier, definitionVersion, expression) {
+    // parse args
+    if (expression === undefined) {
+      expression = definitionVersion;
+      definitionVersion = '*';
+    }
 
-    for (const field of definition) {
-      writeField(field, data);
+    const { name, code, version, definition } =
+      this.resolveIdentifier(protocolVersion, identifier, definitionVersion);
+    const displayName = (version !== '?') ? `${name}<${version}>` : name;
+
+    let compiledQuery;
+    try {
+      compiledQuery = query.compileQuery(expression, { definition, enums: this.enums });
+    } catch (err) {
+      err.message = `[protocol] query - ${displayName}: ${err.message}`;
+      throw err;
     }
 
-    return writer.buffer;
+    const { keys, test } = compiledQuery;
+    const compiled = compile(definition);
+
+    return {
+      name,
+      code,
+      version,
+      keys,
+      test,
+      testBuffer(buffer) {
+        if (code !== null && buffer.readUInt16LE(2) !== code) return false;
+        return test(compiled.readFields(new Stream.Readable(buffer, 4), displayName, keys));
+      },
+    };
+  }
+
+  /**
+   * Creates a stream that splits raw TCP payloads into (parsed) messages.
+   * @param {Number} protocolVersion
+   * @param {Object} [options] See `Framer`.
+   * @returns {Framer}
+   */
+  createFramer(protocolVersion, options = {}) {
+    return new Framer(Object.assign({}, options, { protocol: this, version: protocolVersion }));
   }
 
   /**
    * @returns {TeraProtocol}
    */
-  // eslint-disable-next-line class-methods-use-this
   createInstance(...args) {
-    return new TeraProtocol(...args);
+    return new this.constructor(...args);
   }
 }
 
@@ -0,0 +1,516 @@
+// requires
+const compile = require('./compiler');
+const Stream = require('./stream');
+
+// constants
+const HEADER_SIZE = 4;
+const MAX_META_WORDS = 64;
+const MAX_LAYOUTS = 256;
+const MAX_ELEMENTS = 0xFFFF;
+const PREFIXES = { array: 'array', bytes: 'bytes', string: 'str' };
+
+// helper functions
+const u16 = (buffer, position) => buffer.readUInt16LE(position);
+
+/**
+ * Finds the end (past the null terminator) of a plausible utf-16 string
+ * starting at `position`.
+ * @private
+ * @param {Buffer} buffer
+ * @param {Number} position
+ * @param {Number} end Limit of the search.
+ * @returns {Number|null} `null` if there is no plausible string there.
+ */
+function stringEnd(buffer, position, end) {
+  for (let i = position; i + 1 < end; i += 2) {
+    const unit = u16(buffer, i);
+    if (unit === 0) return i + 2;
+    if (unit < 0x20 && unit !== 0x09 && unit !== 0x0A && unit !== 0x0D) return null;
+    if (unit >= 0xD800 && unit <= 0xDFFF) {
+      // allow surrogate pairs only
+      if (unit > 0xDBFF || i + 3 >= end) return null;
+      const low = u16(buffer, i + 2);
+      if (low < 0xDC00 || low > 0xDFFF) return null;
+      i += 2;
+    }
+  }
+  return null;
+}
+
+/**
+ * Follows the linked list of array elements written by `TeraProtocol#write`.
+ * @private
+ * @param {Object} sample `{ buffer, start, end }`
+ * @param {Number} count
+ * @param {Number} offset
+ * @returns {Number[]|null} The position of each element, or `null` if the
+ * list does not match `count`.
+ */
+function arrayElements(sample, count, offset) {
+  const { buffer, start, end } = sample;
+  const positions = [];
+  let next = offset;
+
+  while (next) {
+    if (next < start || next + 4 > end || u16(buffer, next) !== next) return null;
+    if (positions.length > 0 && next <= positions[positions.length - 1]) return null;
+    if (positions.length >= Math.min(count, MAX_ELEMENTS)) return null;
+
+    positions.push(next);
+    next = u16(buffer, next + 2);
+  }
+
+  return (positions.length === count) ? positions : null;
+}
+
+/**
+ * Checks whether the metadata word(s) at `index` could be a field of `kind`
+ * in every sample, returning where the data of that field starts in each.
+ * @private
+ * @param {String} kind `array`, `string` or `bytes`.
+ * @param {Object[]} samples
+ * @param {Number} index Index of the first word.
+ * @param {Number[]} last Offset of the previous field in each sample.
+ * @returns {Object[]|null} Per sample, `{ offset, count, elements?, end? }`.
+ */
+function matchMeta(kind, samples, index, last) {
+  const words = (kind === 'string') ? 1 : 2;
+  const found = [];
+  let nonEmpty = false;
+
+  for (let s = 0; s < samples.length; s++) {
+    const sample = samples[s];
+    const position = sample.start + (index * 2);
+    if (position + (words * 2) > sample.end) return null;
+
+    const a = u16(sample.buffer, position);
+    const b = (words === 2) ? u16(sample.buffer, position + 2) : 0;
+    const minimum = sample.start + ((index + words) * 2);
+    let match;
+
+    switch (kind) {
+      case 'array': {
+        const [count, offset] = [a, b];
+        if (count === 0 && offset === 0) {
+          match = { offset: 0, count: 0, elements: [] };
+          break;
+        }
+
+        if (offset < minimum || offset <= last[s]) return null;
+        const elements = arrayElements(sample, count, offset);
+        if (!elements) return null;
+        match = { offset, count, elements };
+        break;
+      }
+
+      case 'string': {
+        const offset = a;
+        if (offset < minimum || offset <= last[s]) return null;
+        const end = stringEnd(sample.buffer, offset, sample.end);
+        if (end === null) return null;
+        match = { offset, end };
+        break;
+      }
+
+      case 'bytes': {
+        const [offset, count] = [a, b];
+        if (offset < minimum || offset <= last[s] || offset + count > sample.end) return null;
+        match = { offset, count, end: offset + count };
+        break;
+      }
+
+      default: return null;
+    }
+
+    if (match.offset !== 0 && (kind !== 'bytes' || match.count > 0)) nonEmpty = true;
+    found.push(match);
+  }
+
+  // an all-empty array (or all-zero byte run) can't be told apart from zeros
+  return nonEmpty ? found : null;
+}
+
+const metaSize = fields => fields.reduce((n, f) => n + ((f.kind === 'string') ? 2 : 4), 0);
+
+/**
+ * Checks that no offset of `fields` points into their own metadata.
+ * @private
+ * @param {Object[]} fields
+ * @param {Object[]} samples
+ * @returns {Boolean}
+ */
+function offsetsValid(fields, samples) {
+  const size = metaSize(fields);
+  return fields.every(f => f.matches.every((m, s) => (
+    m.offset === 0 || m.offset >= samples[s].start + size
+  )));
+}
+
+/**
+ * Scores a metadata layout by how often the space between the end of a
+ * string or byte run and the start of the next variable field (or the end of
+ * the data) differs between samples. Fixed fields are the same size in every
+ * message, so the right layout should score 0.
+ * @private
+ * @param {Object[]} fields
+ * @param {Object[]} samples
+ * @returns {Number}
+ */
+function inconsistency(fields, samples) {
+  let score = 0;
+
+  fields.forEach((field, i) => {
+    if (field.kind === 'array') return;
+
+    const gaps = new Set();
+    field.matches.forEach((match, s) => {
+      if (!match.offset) return;
+
+      const following = fields.slice(i + 1).map(f => f.matches[s].offset).find(ofs => ofs);
+      const next = (following !== undefined) ? following : samples[s].end;
+      if (next !== null && (i === fields.length - 1 || following !== undefined)) {
+        gaps.add(next < match.end ? -1 : next - match.end);
+      }
+    });
+
+    score += Math.max(0, gaps.size - 1) + (gaps.has(-1) ? samples.length : 0);
+  });
+
+  return score;
+}
+
+/**
+ * Reads the metadata at the start of a level: a run of string offsets,
+ * array count/offset pairs and bytes offset/count pairs, in the order
+ * `parsers/def` hoists them. Where several layouts fit, the one scoring best
+ * in `inconsistency` wins.
+ * @private
+ * @param {Object[]} samples
+ * @returns {Object[]} `{ kind, matches }` per field.
+ */
+function findMeta(samples) {
+  let best = null;
+  let bestScore = Infinity;
+  let budget = MAX_LAYOUTS;
+
+  const search = (fields, index, last) => {
+    budget--;
+
+    // arrays are unambiguous thanks to their element headers, but a string
+    // offset and a bytes offset/count pair often both fit
+    const match = kind => ((index < MAX_META_WORDS) ? matchMeta(kind, samples, index, last) : null);
+    const array = match('array');
+    const options = array ? [{ kind: 'array', matches: array }] : ['string', 'bytes']
+      .map(kind => ({ kind, matches: match(kind) }))
+      .filter(option => option.matches);
+
+    if (options.length === 0 || budget <= 0) {
+      const layout = fields.slice();
+      // every offset must point past the metadata
+      while (layout.length > 0 && !offsetsValid(layout, samples)) layout.pop();
+
+      const score = inconsistency(layout, samples);
+      if (score < bestScore || (score === bestScore && layout.length > best.length)) {
+        best = layout;
+        bestScore = score;
+      }
+      return;
+    }
+
+    for (const option of options) {
+      const next = last.map((ofs, s) => option.matches[s].offset || ofs);
+      search(fields.concat([option]), index + ((option.kind === 'string') ? 1 : 2), next);
+    }
+  };
+
+  search([], 0, samples.map(() => 0));
+  return best;
+}
+
+const isPlausibleFloat = (buffer, position) => {
+  const value = buffer.readFloatLE(position);
+  if (value === 0) return true;
+  const abs = Math.abs(value);
+  return Number.isFinite(value) && abs >= 1e-4 && abs <= 1e8;
+};
+
+/**
+ * Splits a run of fixed-size bytes, identical in size across samples, into
+ * plausible primitive fields.
+ * @private
+ * @param {Buffer[]} slices
+ * @returns {String[]} Types.
+ */
+function inferFixed(slices) {
+  const length = slices[0].length;
+  const types = [];
+  let position = 0;
+
+  const allFloats = (pos, n) => {
+    let nonZero = false;
+    for (const slice of slices) {
+      for (let i = 0; i < n; i++) {
+        if (!isPlausibleFloat(slice, pos + (i * 4))) return false;
+        if (slice.readFloatLE(pos + (i * 4)) !== 0) nonZero = true;
+      }
+    }
+    return nonZero;
+  };
+
+  while (position < length) {
+    const remaining = length - position;
+
+    if (remaining >= 12 && allFloats(position, 3)) {
+      types.push('vec3');
+      position += 12;
+    } else if (remaining >= 4) {
+      types.push(allFloats(position, 1) ? 'float' : 'int32');
+      position += 4;
+    } else if (remaining >= 2) {
+      types.push('int16');
+      position += 2;
+    } else {
+      const last = position;
+      types.push(slices.every(slice => slice[last] <= 1) ? 'bool' : 'byte');
+      position += 1;
+    }
+  }
+
+  return types;
+}
+
+/**
+ * Returns the most common value in `values`, ignoring `null`s.
+ * @private
+ * @param {Array} values
+ * @returns {*}
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value !== null) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Converts inferred fields to the definition format used by `parsers/def`.
+ * @private
+ * @param {Object[]} fields
+ * @returns {Array}
+ */
+function toDefinition(fields, type = 'root') {
+  const meta = [];
+  const body = [];
+
+  for (const field of fields) {
+    if (field.type === 'array') {
+      meta.push([field.name, 'count'], [field.name, 'offset']);
+      body.push([field.name, toDefinition(field.children, 'array')]);
+    } else {
+      if (field.type === 'string') meta.push([field.name, 'offset']);
+      if (field.type === 'bytes') meta.push([field.name, 'offset'], [field.name, 'count']);
+      body.push([field.name, field.type]);
+    }
+  }
+
+  const definition = meta.concat(body);
+  definition.type = type;
+  return definition;
+}
+
+/**
+ * Names the fields of a level in order: `unk1`, `unk2`, ... for fixed-size
+ * fields, `str1`, `array1`, `bytes1`, ... for the others.
+ * @private
+ * @param {Object[]} fields
+ * @returns {Object[]} `fields`.
+ */
+function nameFields(fields) {
+  const counts = {};
+  for (const field of fields) {
+    if (field.unknown) continue;
+
+    const prefix = PREFIXES[field.type] || 'unk';
+    counts[prefix] = (counts[prefix] || 0) + 1;
+    field.name = `${prefix}${counts[prefix]}`;
+  }
+  return fields;
+}
+
+/**
+ * Infers the fields of one level (a message body or array element).
+ * @private
+ * @param {Object[]} samples `{ buffer, start, end }`, where `end` may be
+ * `null` if unknown (only the metadata and variable fields are used then).
+ * @returns {Object[]} Fields: `{ name, type, children? }`, or
+ * `{ unknown: true, note }` where inference gave up.
+ */
+function inferLevel(samples) {
+  // samples whose end is unknown are only used if there is nothing else
+  const known = samples.filter(sample => sample.end !== null);
+  const source = (known.length > 0) ? known : samples;
+  const meta = findMeta(source);
+  const dataStart = metaSize(meta);
+
+  // infer array elements first, so we know where each array ends
+  const variable = meta.map((field, i) => {
+    if (field.kind !== 'array') return { kind: field.kind };
+
+    // elements followed by another element have a known end; if there are
+    // none, assume the last element runs up to the next variable field
+    const multiple = field.matches.some(match => match.elements.length > 1);
+    const elements = [];
+    field.matches.forEach((match, s) => {
+      const sample = source[s];
+      const following = meta.slice(i + 1).map(f => f.matches[s].offset).find(ofs => ofs);
+
+      match.elements.forEach((position, e) => {
+        const next = match.elements[e + 1];
+        let end = (next !== undefined) ? next : null;
+        if (end === null && !multiple) end = following || sample.end;
+
+        elements.push({ buffer: sample.buffer, start: position + 4, end });
+      });
+    });
+
+    return { kind: 'array', children: inferLevel(elements) };
+  });
+
+  // find where each variable field's data ends in each sample
+  const ends = meta.map((field, i) => field.matches.map((match, s) => {
+    if (match.offset === 0) return null;
+    if (field.kind !== 'array') return match.end;
+
+    const children = variable[i].children;
+    if (children.some(child => child.unknown)) return null;
+
+    const sample = source[s];
+    const lastElement = match.elements[match.elements.length - 1];
+    try {
+      const reader = new Stream.Readable(sample.buffer, lastElement + 4);
+      compile(toDefinition(children)).skip(reader);
+      return reader.position;
+    } catch (err) {
+      return null;
+    }
+  }));
+
+  // the fixed fields sit in the gaps between the variable fields
+  const fields = [];
+  for (let gap = 0; gap <= meta.length; gap++) {
+    const sizes = source.map((sample, s) => {
+      const from = (gap === 0) ? sample.start + dataStart : ends[gap - 1][s];
+      const to = (gap === meta.length) ? sample.end : meta[gap].matches[s].offset;
+      if (from === null || !to || to < from) return null;
+      return to - from;
+    });
+
+    const size = mostCommon(sizes);
+    if (size === null) {
+      if (gap < meta.length || source.some(sample => sample.end !== null)) {
+        fields.push({ unknown: true, note: 'could not determine the fixed fields here' });
+      }
+    } else if (size > 0) {
+      const slices = source
+        .map((sample, s) => {
+          if (sizes[s] !== size) return null;
+          const from = (gap === 0) ? sample.start + dataStart : ends[gap - 1][s];
+          return sample.buffer.slice(from, from + size);
+        })
+        .filter(slice => slice !== null);
+
+      for (const type of inferFixed(slices)) fields.push({ type });
+    }
+
+    if (gap < meta.length) {
+      const field = variable[gap];
+      fields.push(field.kind === 'array'
+        ? { type: 'array', children: field.children }
+        : { type: field.kind });
+    }
+  }
+
+  return nameFields(fields);
+}
+
+/**
+ * Formats inferred fields as .def lines.
+ * @private
+ * @param {Object[]} fields
+ * @param {Number} depth
+ * @returns {String[]}
+ */
+function formatFields(fields, depth = 0) {
+  const indent = '- '.repeat(depth);
+  const lines = [];
+
+  for (const field of fields) {
+    if (field.unknown) {
+      lines.push(`${indent}# ${field.note}`);
+      continue;
+    }
+
+    lines.push(`${indent}${field.type} ${field.name}`);
+    if (field.children) lines.push(...formatFields(field.children, depth + 1));
+  }
+
+  return lines;
+}
+
+// exports
+/**
+ * Proposes a definition for a message from captured packets, based on the
+ * layout `TeraProtocol#write` produces: `count`/`offset` metadata first,
+ * null-terminated utf-16 strings, and arrays as linked lists of elements
+ * starting with `here`/`next` positions. Fixed-size fields are guessed from
+ * their values; objects can't be told apart from their fields, so they come
+ * out flattened.
+ * @param {Buffer[]} packets Whole messages (including the header), all with
+ * the same opcode.
+ * @returns {Object} `{ fields, definition }`, where `fields` is a tree of
+ * `{ name, type, children? }` (or `{ unknown, note }` where inference gave
+ * up) and `definition` is in the format used by `parsers/def`.
+ * @throws Errors if no packets are given or their opcodes differ.
+ */
+function inferDefinition(packets) {
+  if (packets.length === 0) throw new Error('no packets given');
+
+  const code = (packets[0].length >= HEADER_SIZE) ? u16(packets[0], 2) : null;
+  if (packets.some(packet => packet.length < HEADER_SIZE || u16(packet, 2) !== code)) {
+    throw new Error('all packets must be complete messages with the same opcode');
+  }
+
+  const samples = packets.map(buffer => ({ buffer, start: HEADER_SIZE, end: buffer.length }));
+  const fields = inferLevel(samples);
+  const definition = fields.some(function hasUnknown(field) {
+    return field.unknown || (field.children && field.children.some(hasUnknown));
+  }) ? null : toDefinition(fields);
+
+  return { fields, definition };
+}
+
+/**
+ * Formats the result of `inferDefinition` as .def text.
+ * @param {Object} result
+ * @param {Number} [count] Number of packets used, for the header comment.
+ * @returns {String}
+ */
+function formatDefinition(result, count) {
+  const header = (count !== undefined) ? [`# inferred from ${count} packet${count !== 1 ? 's' : ''}`] : [];
+  return `${header.concat(formatFields(result.fields)).join('\n')}\n`;
+}
+
+module.exports = {
+  formatDefinition,
+  inferDefinition,
+};
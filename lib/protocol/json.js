@@ -0,0 +1,152 @@
+// requires
+const Long = require('long');
+
+const { META_TYPES, inlineArray } = require('./compiler');
+
+// constants
+const BYTES_ENCODINGS = ['hex', 'base64'];
+const BYTES_PATTERNS = {
+  hex: /^(?:[0-9a-f]{2})*$/i,
+  base64: /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/,
+};
+
+// helper functions
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkEncoding(encoding) {
+  if (!BYTES_ENCODINGS.includes(encoding)) {
+    throw new Error(`unknown bytes encoding "${encoding}" (expected one of ${BYTES_ENCODINGS.join(', ')})`);
+  }
+}
+
+/**
+ * Walks `data` along `definition`, replacing each primitive with
+ * `convert(type, value, keyPath)`. Keys not in the definition are left out.
+ * @private
+ * @param {Array} definition
+ * @param {Object} data
+ * @param {Function} convert
+ * @param {String} base Key path of `data`.
+ * @returns {Object}
+ */
+function walk(definition, data, convert, base = '') {
+  const result = {};
+
+  for (const [key, type] of definition) {
+    if (META_TYPES.includes(type)) continue;
+
+    const keyPath = (base !== '') ? `${base}.${key}` : key;
+    const value = data[key];
+    if (value === undefined) continue;
+
+    if (Array.isArray(type)) {
+      if (type.type === 'object') {
+        if (!isObject(value)) throw new Error(`${keyPath}: expected an object`);
+        result[key] = walk(type, value, convert, keyPath);
+      } else {
+        if (!Array.isArray(value)) throw new Error(`${keyPath}: expected an array`);
+        result[key] = value.map((element, i) => {
+          if (!isObject(element)) throw new Error(`${keyPath}.${i}: expected an object`);
+          return walk(type, element, convert, `${keyPath}.${i}`);
+        });
+      }
+      continue;
+    }
+
+    const inline = inlineArray(type);
+    if (inline) {
+      if (!Array.isArray(value)) throw new Error(`${keyPath}: expected an array`);
+      result[key] = value.map((element, i) => convert(inline.type, element, `${keyPath}.${i}`));
+      continue;
+    }
+
+    result[key] = convert(type, value, keyPath);
+  }
+
+  return result;
+}
+
+// exports
+/**
+ * Converts parsed message data to a form that survives `JSON.stringify`:
+ * 64-bit integers become decimal strings and `bytes` become hex or base64
+ * strings. Everything else is copied as is.
+ * @param {Array} definition
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {String} [options.bytes] `hex` (default) or `base64`.
+ * @returns {Object}
+ * @throws Errors naming the key path of values that can't be converted.
+ */
+function toJSON(definition, data, options = {}) {
+  const { bytes: encoding = 'hex' } = options;
+  checkEncoding(encoding);
+
+  return walk(definition, data, (type, value, keyPath) => {
+    switch (type) {
+      case 'int64':
+      case 'uint64': {
+        if (typeof value === 'number') return String(value);
+        if (isObject(value) && 'low' in value && 'high' in value) {
+          return new Long(value.low, value.high, type === 'uint64').toString();
+        }
+        throw new Error(`${keyPath}: expected a number or an object with "high" and "low" properties`);
+      }
+
+      case 'bytes': {
+        if (!Buffer.isBuffer(value)) throw new Error(`${keyPath}: expected a Buffer`);
+        return value.toString(encoding);
+      }
+
+      default: return value;
+    }
+  });
+}
+
+/**
+ * Reverses `toJSON`, so the result can be passed to `TeraProtocol#write`.
+ * 64-bit integers may also be given as numbers.
+ * @param {Array} definition
+ * @param {Object} json
+ * @param {Object} [options]
+ * @param {String} [options.bytes] `hex` (default) or `base64`.
+ * @returns {Object}
+ * @throws Errors naming the key path of values that can't be converted.
+ */
+function fromJSON(definition, json, options = {}) {
+  const { bytes: encoding = 'hex' } = options;
+  checkEncoding(encoding);
+
+  return walk(definition, json, (type, value, keyPath) => {
+    switch (type) {
+      case 'int64':
+      case 'uint64': {
+        const unsigned = (type === 'uint64');
+        if (typeof value === 'number') return Long.fromNumber(value, unsigned);
+        if (typeof value !== 'string' || !(unsigned ? /^\d+$/ : /^-?\d+$/).test(value)) {
+          throw new Error(`${keyPath}: expected a decimal string`);
+        }
+
+        const long = Long.fromString(value, unsigned);
+        if (long.toString() !== value.replace(/^(-?)0+(?=\d)/, '$1').replace(/^-0$/, '0')) {
+          throw new Error(`${keyPath}: out of range for ${type}`);
+        }
+        return long;
+      }
+
+      case 'bytes': {
+        if (typeof value !== 'string' || !BYTES_PATTERNS[encoding].test(value)) {
+          throw new Error(`${keyPath}: expected a ${encoding} string`);
+        }
+        return Buffer.from(value, encoding);
+      }
+
+      default: return value;
+    }
+  });
+}
+
+module.exports = {
+  fromJSON,
+  toJSON,
+};
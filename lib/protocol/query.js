@@ -0,0 +1,416 @@
+// requires
+const Long = require('long');
+
+const { META_TYPES, inlineArray } = require('./compiler');
+
+// constants
+const KEYWORDS = ['and', 'or', 'not', 'in', 'true', 'false'];
+
+const TOKEN_PATTERN = new RegExp([
+  /(\s+)/, // 1: whitespace
+  /("(?:[^"\\]|\\.)*")/, // 2: string
+  /(-?(?:0x[0-9a-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?))(?![\w.])/, // 3: number
+  /(==|!=|<=|>=|<|>)/, // 4: operator
+  /([()[\],])/, // 5: punctuation
+  /([A-Za-z_$][\w$]*(?:\.(?:[A-Za-z_$][\w$]*|\d+|\*))*)/, // 6: word or key path
+].map(pattern => pattern.source).join('|'), 'iy');
+
+// helper functions
+/**
+ * Splits an expression into tokens.
+ * @private
+ * @param {String} expression
+ * @returns {Object[]} `{ kind, text, position }` tokens, where `kind` is
+ * `string`, `number`, `op`, `punct`, `keyword` or `path`.
+ * @throws {Error} On characters that can't start a token.
+ */
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) throw new Error(`unexpected "${expression[position]}" at position ${position}`);
+
+    const [text, space, string, number, op, punct, word] = match;
+    if (space) continue;
+
+    let kind;
+    if (string) kind = 'string';
+    else if (number) kind = 'number';
+    else if (op) kind = 'op';
+    else if (punct) kind = 'punct';
+    else kind = KEYWORDS.includes(word) ? 'keyword' : 'path';
+
+    tokens.push({ kind, text, position });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses tokens into a tree of `{ type: 'and'|'or', left, right }`,
+ * `{ type: 'not', operand }`, `{ type: 'compare', path, op, literal }`,
+ * `{ type: 'in', path, literals }` and `{ type: 'truthy', path }` nodes.
+ * @private
+ * @param {Object[]} tokens
+ * @param {String} expression
+ * @returns {Object}
+ */
+function parse(tokens, expression) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (token, expected) => {
+    const found = token ? `"${token.text}" at position ${token.position}` : 'end of expression';
+    throw new Error(`expected ${expected}, found ${found}`);
+  };
+  const accept = (kind, text) => {
+    const token = peek();
+    if (token && token.kind === kind && (text === undefined || token.text === text)) {
+      index++;
+      return token;
+    }
+    return null;
+  };
+  const expect = (kind, text, expected) => accept(kind, text) || fail(peek(), expected);
+
+  const literal = () => {
+    const token = accept('number') || accept('string') || accept('keyword', 'true') || accept('keyword', 'false');
+    if (!token) fail(peek(), 'a number, string, true or false');
+
+    switch (token.kind) {
+      case 'number': {
+        const hex = token.text.match(/^(-?)0x(.+)$/i);
+        const value = hex ? parseInt(hex[2], 16) * (hex[1] ? -1 : 1) : Number(token.text);
+        return { type: 'number', text: token.text, value };
+      }
+      case 'string': return { type: 'string', value: JSON.parse(token.text) };
+      default: return { type: 'bool', value: token.text === 'true' };
+    }
+  };
+
+  /* eslint-disable no-use-before-define */
+  const primary = () => {
+    if (accept('punct', '(')) {
+      const node = or();
+      expect('punct', ')', '")"');
+      return node;
+    }
+
+    const path = expect('path', undefined, 'a key path').text;
+
+    const op = accept('op');
+    if (op) return { type: 'compare', path, op: op.text, literal: literal() };
+
+    if (accept('keyword', 'in')) {
+      expect('punct', '[', '"["');
+      const literals = [literal()];
+      while (accept('punct', ',')) literals.push(literal());
+      expect('punct', ']', '"," or "]"');
+      return { type: 'in', path, literals };
+    }
+
+    return { type: 'truthy', path };
+  };
+
+  const not = () => (accept('keyword', 'not') ? { type: 'not', operand: not() } : primary());
+
+  const and = () => {
+    let node = not();
+    while (accept('keyword', 'and')) node = { type: 'and', left: node, right: not() };
+    return node;
+  };
+
+  const or = () => {
+    let node = and();
+    while (accept('keyword', 'or')) node = { type: 'or', left: node, right: and() };
+    return node;
+  };
+  /* eslint-enable no-use-before-define */
+
+  if (tokens.length === 0) throw new Error(`empty expression ${JSON.stringify(expression)}`);
+
+  const tree = or();
+  if (index < tokens.length) fail(peek(), '"and", "or" or end of expression');
+  return tree;
+}
+
+/**
+ * Follows a key path through a definition.
+ * @private
+ * @param {Array} definition
+ * @param {String[]} segments
+ * @param {String} path
+ * @returns {Object} `{ type, fieldOptions }` of the value the path leads to.
+ * `type` is `null` for array elements.
+ * @throws {Error} If the path doesn't exist in the definition.
+ */
+function resolvePath(definition, segments, path) {
+  let level = definition; // fields the next segment is looked up in
+  let type = null;
+  let fieldOptions = {};
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const at = segments.slice(0, i).join('.');
+    const inline = inlineArray(type);
+
+    if ((Array.isArray(type) && type.type === 'array') || inline) {
+      if (!/^(?:\d+|\*)$/.test(segment)) {
+        throw new Error(`unknown field "${path}" (expected an index or * after "${at}")`);
+      }
+      level = inline ? null : type;
+      type = inline ? inline.type : null;
+      continue;
+    }
+
+    if (type === 'vec3' && ['x', 'y', 'z'].includes(segment)) {
+      type = 'float';
+      continue;
+    }
+
+    const entry = level && level.find(([key, t]) => key === segment && !META_TYPES.includes(t));
+    if (!entry) {
+      throw new Error((i > 0 && !level)
+        ? `unknown field "${path}" ("${at}" has no fields)`
+        : `unknown field "${path}"`);
+    }
+
+    [, type, fieldOptions = {}] = entry;
+    level = (Array.isArray(type) && type.type === 'object') ? type : null;
+  }
+
+  return { type, fieldOptions };
+}
+
+/**
+ * Builds a function returning the value at a key path, or the list of values
+ * if the path contains `*`.
+ * @private
+ * @param {String[]} segments
+ * @returns {Function}
+ */
+function compilePath(segments) {
+  const wildcard = segments.indexOf('*');
+  if (wildcard === -1) {
+    return (data) => {
+      let value = data;
+      for (const segment of segments) {
+        if (value === null || value === undefined) return undefined;
+        value = value[segment];
+      }
+      return value;
+    };
+  }
+
+  const head = compilePath(segments.slice(0, wildcard));
+  const tail = compilePath(segments.slice(wildcard + 1));
+  const nested = segments.indexOf('*', wildcard + 1) !== -1;
+
+  return (data) => {
+    const list = head(data);
+    if (!Array.isArray(list)) return [];
+
+    const values = [];
+    for (const element of list) {
+      const value = tail(element);
+      if (nested) values.push(...value);
+      else values.push(value);
+    }
+    return values;
+  };
+}
+
+/**
+ * Orders a value against a literal.
+ * @private
+ * @param {*} value
+ * @param {Object} literal
+ * @returns {Number} Negative, zero or positive, or `NaN` if they can't be
+ * compared.
+ */
+function order(value, literal) {
+  if (literal.type === 'string') {
+    if (typeof value !== 'string') return NaN;
+    if (value === literal.value) return 0;
+    return (value < literal.value) ? -1 : 1;
+  }
+
+  const expected = Number(literal.value);
+
+  if (Long.isLong(value)) {
+    if (literal.type === 'number' && Number.isInteger(expected)) {
+      return value.compare(literal.long(value.unsigned));
+    }
+    return value.toNumber() - expected;
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') return Number(value) - expected;
+  return NaN;
+}
+
+const COMPARISONS = {
+  '==': c => c === 0,
+  '!=': c => c !== 0,
+  '<': c => c < 0,
+  '<=': c => c <= 0,
+  '>': c => c > 0,
+  '>=': c => c >= 0,
+};
+
+function truthy(value) {
+  if (Long.isLong(value)) return !value.isZero();
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+/**
+ * Prepares a literal for comparisons: 64-bit integers are parsed once per
+ * signedness, and names of enum values are replaced with their values.
+ * @private
+ * @param {Object} literal
+ * @param {Object} fieldOptions
+ * @param {Map} [enums]
+ * @returns {Object}
+ */
+function prepareLiteral(literal, fieldOptions, enums) {
+  if (literal.type === 'string' && fieldOptions.enum && enums) {
+    const declaration = enums.get(fieldOptions.enum);
+    if (!declaration) throw new Error(`unknown enum "${fieldOptions.enum}"`);
+    if (!declaration.name.has(literal.value)) {
+      throw new Error(`unknown ${fieldOptions.enum} value ${JSON.stringify(literal.value)}`);
+    }
+
+    const value = declaration.name.get(literal.value);
+    return prepareLiteral({ type: 'number', text: String(value), value }, {}, enums);
+  }
+
+  if (literal.type === 'number') {
+    const { text } = literal;
+    const longs = {};
+    const hex = text.match(/^(-?)0x(.+)$/i);
+
+    literal.long = (unsigned) => {
+      const id = unsigned ? 'unsigned' : 'signed';
+      if (!longs[id]) {
+        longs[id] = hex
+          ? Long.fromString(hex[1] + hex[2], unsigned, 16)
+          : Long.fromString(text, unsigned);
+      }
+      return longs[id];
+    };
+  }
+
+  return literal;
+}
+
+/**
+ * Compiles a tree from `parse` into a predicate.
+ * @private
+ * @param {Object} node
+ * @param {Object} context `{ definition, enums, paths }`; key paths are added
+ * to `paths`.
+ * @returns {Function} `test(data)`
+ */
+function compileNode(node, context) {
+  switch (node.type) {
+    case 'and': {
+      const left = compileNode(node.left, context);
+      const right = compileNode(node.right, context);
+      return data => left(data) && right(data);
+    }
+
+    case 'or': {
+      const left = compileNode(node.left, context);
+      const right = compileNode(node.right, context);
+      return data => left(data) || right(data);
+    }
+
+    case 'not': {
+      const operand = compileNode(node.operand, context);
+      return data => !operand(data);
+    }
+
+    default: break;
+  }
+
+  const segments = node.path.split('.');
+  const fieldOptions = context.definition
+    ? resolvePath(context.definition, segments, node.path).fieldOptions
+    : {};
+  context.paths.add(node.path);
+
+  let test;
+  switch (node.type) {
+    case 'compare': {
+      const literal = prepareLiteral(node.literal, fieldOptions, context.enums);
+      const matches = COMPARISONS[node.op];
+      test = value => matches(order(value, literal));
+      break;
+    }
+
+    case 'in': {
+      const literals = node.literals.map(l => prepareLiteral(l, fieldOptions, context.enums));
+      const numbers = new Set(literals
+        .filter(l => l.type === 'number' && Number.isSafeInteger(l.value))
+        .map(l => l.value));
+      test = value => (
+        (typeof value === 'number' && numbers.has(value))
+        || literals.some(l => order(value, l) === 0)
+      );
+      break;
+    }
+
+    default: {
+      test = truthy;
+      break;
+    }
+  }
+
+  const get = compilePath(segments);
+  if (!segments.includes('*')) return data => test(get(data));
+  return data => get(data).some(test);
+}
+
+// exports
+/**
+ * Compiles a query expression into a predicate over parsed message data.
+ *
+ * An expression compares key paths (`skill`, `loc.x`, `items.0.id`, or
+ * `items.*.id` for any element) with literals using `==`, `!=`, `<`, `<=`,
+ * `>`, `>=` or `in [a, b, ...]`, and combines them with `and`, `or`, `not`
+ * and parentheses. A key path on its own tests that the value is not zero,
+ * false, empty or missing. Literals are numbers (decimal or `0x` hex, compared
+ * exactly with 64-bit values), double-quoted strings, `true` and `false`.
+ * @param {String} expression
+ * @param {Object} [options]
+ * @param {Array} [options.definition] If given, key paths are checked against
+ * it, and enum fields may be compared with names.
+ * @param {Map} [options.enums] `TeraProtocol#enums`, to look names up in.
+ * @returns {Object} `{ expression, paths, keys, test }`, where `paths` are
+ * the key paths used, `keys` the top level fields they start with, and
+ * `test(data)` returns whether `data` matches.
+ * @throws Errors describing syntax errors and unknown key paths.
+ */
+function compileQuery(expression, options = {}) {
+  const { definition = null, enums = null } = options;
+  if (typeof expression !== 'string') throw new TypeError('expression must be a string');
+
+  const context = { definition, enums, paths: new Set() };
+  const test = compileNode(parse(tokenize(expression), expression), context);
+  const paths = [...context.paths];
+  const keys = [...new Set(paths.map(path => path.split('.')[0]))];
+
+  return {
+    expression,
+    paths,
+    keys,
+    test: data => !!data && test(data),
+  };
+}
+
+module.exports = {
+  compileQuery,
+};
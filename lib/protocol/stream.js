@@ -4,11 +4,57 @@
 const Long = require('long');
 const log = require('../logger');
 
+// helper functions
+const UNPAIRED_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])([\uDC00-\uDFFF])/;
+
+/**
+ * Throws if `str` contains a high surrogate not followed by a low surrogate,
+ * or a low surrogate not preceded by a high surrogate.
+ * @param {String} str
+ * @throws {RangeError}
+ */
+function checkSurrogates(str) {
+  const match = str.match(UNPAIRED_SURROGATE);
+  if (match) {
+    const index = match.index + (match[1] ? match[0].length - 1 : 0);
+    const unit = str.charCodeAt(index).toString(16).toUpperCase();
+    throw new RangeError(`unpaired surrogate U+${unit} at index ${index}`);
+  }
+}
+
+/**
+ * Finds the null terminator of the utf-16 string starting at `position`.
+ * @param {Buffer} buffer
+ * @param {Number} position
+ * @returns {Number} The position of the null terminator.
+ * @throws {RangeError} If the string is not terminated.
+ */
+function findStringEnd(buffer, position) {
+  let end = position;
+  for (;;) {
+    if (end + 1 >= buffer.length) {
+      throw new RangeError(`unterminated string at ${position}`);
+    }
+    if (buffer[end] === 0 && buffer[end + 1] === 0) return end;
+    end += 2;
+  }
+}
+
 // Readable
 class Readable {
-  constructor(buffer, position = 0) {
+  /**
+   * @param {Buffer} buffer
+   * @param {Number} [position]
+   * @param {Object} [options]
+   * @param {Boolean} [options.strictStrings] Throw on unpaired surrogates.
+   */
+  constructor(buffer, position = 0, options = {}) {
     this.buffer = buffer;
     this.position = position;
+    this.strictStrings = !!options.strictStrings;
+
+    // set by `TeraProtocol#parse` while collecting a parse report
+    this.anomalies = null;
   }
 
   seek(n) {
@@ -50,6 +96,12 @@ class Readable {
     return new Long(this.int32(), this.int32(), true);
   }
 
+  int8() {
+    const ret = this.buffer.readInt8(this.position);
+    this.position += 1;
+    return ret;
+  }
+
   int16() {
     const ret = this.buffer.readInt16LE(this.position);
     this.position += 2;
@@ -72,22 +124,48 @@ class Readable {
     return ret;
   }
 
+  double() {
+    const ret = this.buffer.readDoubleLE(this.position);
+    this.position += 8;
+    return ret;
+  }
+
+  vec3() {
+    return {
+      x: this.float(),
+      y: this.float(),
+      z: this.float(),
+    };
+  }
+
   string() {
-    let c;
-    let ret = '';
-    while (c = this.uint16()) { // eslint-disable-line no-cond-assign
-      ret += String.fromCharCode(c);
-    }
+    const { position } = this;
+    const end = findStringEnd(this.buffer, position);
+
+    const ret = this.buffer.toString('utf16le', position, end);
+    if (this.strictStrings) checkSurrogates(ret);
+
+    this.position = end + 2;
     return ret;
   }
+
+  skipString() {
+    return this.position = findStringEnd(this.buffer, this.position) + 2;
+  }
 }
 
 // Writeable
 class Writeable {
-  constructor(length) {
+  /**
+   * @param {Number} length
+   * @param {Object} [options]
+   * @param {Boolean} [options.strictStrings] Throw on unpaired surrogates.
+   */
+  constructor(length, options = {}) {
     this.length = length;
     this.buffer = Buffer.alloc(this.length);
     this.position = 0;
+    this.strictStrings = !!options.strictStrings;
   }
 
   seek(n) {
@@ -140,6 +218,11 @@ class Writeable {
     return this.uint32(obj.high);
   }
 
+  int8(n = 0) {
+    this.buffer.writeInt8(n, this.position);
+    return this.position += 1;
+  }
+
   int16(n = 0) {
     this.buffer.writeInt16LE(n, this.position);
     return this.position += 2;
@@ -169,10 +252,32 @@ class Writeable {
     return this.position += 4;
   }
 
+  double(n = 0) {
+    this.buffer.writeDoubleLE(n, this.position);
+    return this.position += 8;
+  }
+
+  vec3(obj = {}) {
+    this.float(obj.x);
+    this.float(obj.y);
+    return this.float(obj.z);
+  }
+
   string(str = '') {
-    for (const c of str) {
-      this.uint16(c.charCodeAt(0)); // charCodeAt ensures <= 0xFFFF
+    if (typeof str !== 'string') {
+      throw new TypeError('string was not provided');
     }
+
+    if (this.strictStrings) checkSurrogates(str);
+
+    // utf-16 code units are copied as-is, so surrogate pairs survive
+    const length = str.length * 2;
+    if (this.position + length + 2 > this.buffer.length) {
+      throw new RangeError(`not enough space to write string at ${this.position}`);
+    }
+
+    this.buffer.write(str, this.position, length, 'utf16le');
+    this.position += length;
     return this.uint16(0);
   }
 }
@@ -0,0 +1,235 @@
+// requires
+const { META_TYPES, inlineArray } = require('./compiler');
+
+// constants
+const TYPES = {
+  bool: 'boolean',
+  byte: 'number',
+  int8: 'number',
+  int16: 'number',
+  uint16: 'number',
+  int32: 'number',
+  uint32: 'number',
+  float: 'number',
+  double: 'number',
+  int64: 'Long',
+  uint64: 'Long',
+  vec3: 'Vec3',
+  bytes: 'Buffer',
+  string: 'string',
+};
+
+// what `write` accepts in place of the parsed type
+const INPUT_TYPES = {
+  int64: 'LongInput',
+  uint64: 'LongInput',
+};
+
+const HEADER = `// generated by tera-data-parser - do not edit
+// requires @types/node and @types/long
+/// <reference types="node" />
+import Long = require('long');
+
+export type LongInput = Long | number | { high: number; low: number };
+
+export interface Vec3 {
+  x: number;
+  y: number;
+  z: number;
+}
+`;
+
+const FOOTER = `
+
+export type MessageName = keyof LatestMessages;
+
+export interface ParseOptions {
+  fields?: string[];
+  lazy?: boolean;
+  strictStrings?: boolean;
+  report?: boolean;
+  strict?: boolean;
+  enums?: boolean;
+}
+
+export interface WriteOptions {
+  strict?: boolean;
+  strictStrings?: boolean;
+}
+
+export interface TypedProtocol {
+  parse<K extends MessageName>(protocolVersion: number, name: K, buffer: Buffer, options?: ParseOptions): LatestMessages[K];
+  parse<K extends MessageName, V extends keyof Messages[K]>(protocolVersion: number, name: K, definitionVersion: V, buffer: Buffer, options?: ParseOptions): Messages[K][V];
+  write<K extends MessageName>(protocolVersion: number, name: K, data: Partial<LatestMessageInputs[K]>, options?: WriteOptions): Buffer;
+  write<K extends MessageName, V extends keyof MessageInputs[K]>(protocolVersion: number, name: K, definitionVersion: V, data: Partial<MessageInputs[K][V]>, options?: WriteOptions): Buffer;
+}
+`;
+
+// helper functions
+const quote = key => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key));
+
+/**
+ * Emits a string literal union of the names in an enum or flags declaration.
+ * @private
+ * @param {String} enumName
+ * @param {Object} declaration An entry of `TeraProtocol#enums`.
+ * @returns {String}
+ */
+function emitEnum(enumName, declaration) {
+  const names = [...declaration.name.keys()].map(name => JSON.stringify(name));
+  return `export type ${enumName} = ${names.length > 0 ? names.join(' | ') : 'never'};`;
+}
+
+/**
+ * Gets the type of an enum or flags field. Parsed values are numbers unless
+ * `parse` is given `{ enums: true }`, and undeclared values stay numbers;
+ * `write` also accepts a single name for flags.
+ * @private
+ * @param {String} enumName
+ * @param {Map} enums `TeraProtocol#enums`.
+ * @param {Boolean} input Whether the type is for `write`.
+ * @returns {String}
+ */
+function enumType(enumName, enums, input) {
+  const declaration = enums.get(enumName);
+  if (!declaration) return 'number';
+
+  if (declaration.type !== 'flags') return `number | ${enumName}`;
+  return input
+    ? `number | ${enumName} | Array<${enumName} | number>`
+    : `number | Array<${enumName} | number>`;
+}
+
+/**
+ * Checks whether `write` accepts more than `parse` returns for any field of
+ * `definition` (at any depth), so it needs its own input interface.
+ * @private
+ * @param {Array} definition
+ * @param {Map} enums `TeraProtocol#enums`.
+ * @returns {Boolean}
+ */
+function hasInputTypes(definition, enums) {
+  return definition.some(([, type, fieldOptions]) => {
+    if (Array.isArray(type)) return hasInputTypes(type, enums);
+    if (fieldOptions && fieldOptions.enum) {
+      const declaration = enums.get(fieldOptions.enum);
+      return !!declaration && declaration.type === 'flags';
+    }
+
+    const inline = inlineArray(type);
+    return !!INPUT_TYPES[inline ? inline.type : type];
+  });
+}
+
+/**
+ * Emits an interface for one level of a definition, plus any interfaces for
+ * nested arrays and objects (named after their parent and key). Input
+ * interfaces, for `write`, get an `_Input` suffix, and refer to the parsed
+ * interfaces of nested levels that don't need their own.
+ * @private
+ * @param {String} interfaceName
+ * @param {Array} definition
+ * @param {Map} enums `TeraProtocol#enums`.
+ * @param {String[]} out Emitted interfaces are appended here.
+ * @param {Boolean} [input] Emit the input interface.
+ */
+function emitInterface(interfaceName, definition, enums, out, input = false) {
+  const types = input ? Object.assign({}, TYPES, INPUT_TYPES) : TYPES;
+  const lines = [`export interface ${interfaceName}${input ? '_Input' : ''} {`];
+  const nested = [];
+
+  for (const [key, type, fieldOptions] of definition) {
+    if (META_TYPES.includes(type)) continue;
+
+    const inline = inlineArray(type);
+    let tsType;
+    if (Array.isArray(type)) {
+      const nestedName = `${interfaceName}_${key.replace(/\W/g, '_')}`;
+      const nestedInput = input && hasInputTypes(type, enums);
+      if (!input || nestedInput) nested.push([nestedName, type]);
+
+      const reference = nestedInput ? `${nestedName}_Input` : nestedName;
+      tsType = (type.type === 'array') ? `${reference}[]` : reference;
+    } else if (fieldOptions && fieldOptions.enum) {
+      tsType = enumType(fieldOptions.enum, enums, input);
+    } else if (types[type]) {
+      tsType = types[type];
+    } else if (inline && types[inline.type]) {
+      tsType = `${types[inline.type]}[]`;
+    } else {
+      tsType = `any /* unknown type: ${type} */`;
+    }
+
+    // conditional fields may be missing
+    const optional = (fieldOptions && fieldOptions.when) ? '?' : '';
+    lines.push(`  ${quote(key)}${optional}: ${tsType};`);
+  }
+
+  lines.push('}');
+  out.push(lines.join('\n'));
+
+  for (const [nestedName, type] of nested) {
+    emitInterface(nestedName, type, enums, out, input);
+  }
+}
+
+// exports
+/**
+ * Generates TypeScript declarations for every message definition loaded in a
+ * `TeraProtocol` instance. Each definition version gets its own interface
+ * (`NAME_v1`), and `Messages`/`LatestMessages` map names to those interfaces
+ * for use with the `TypedProtocol` overloads of `parse`. Versions where
+ * `write` accepts more, such as numbers for 64-bit fields, also get a
+ * `NAME_v1_Input` interface, mapped by `MessageInputs`/`LatestMessageInputs`
+ * for `write`. Enum and flags declarations become unions of their names.
+ * @param {TeraProtocol} protocol A loaded protocol instance.
+ * @returns {String} The contents of a `.d.ts` file.
+ */
+function generateTypings(protocol) {
+  const { enums } = protocol;
+  const declarations = [...enums.keys()].sort()
+    .map(enumName => emitEnum(enumName, enums.get(enumName)));
+  const interfaces = [];
+  const maps = {
+    Messages: [],
+    LatestMessages: [],
+    MessageInputs: [],
+    LatestMessageInputs: [],
+  };
+
+  const names = [...protocol.messages.keys()].sort();
+  for (const name of names) {
+    const versions = protocol.messages.get(name);
+    const sorted = [...versions.keys()].sort((a, b) => a - b);
+    const entries = [];
+    const inputEntries = [];
+    let inputName;
+
+    for (const version of sorted) {
+      const definition = versions.get(version);
+      const interfaceName = `${name}_v${version}`;
+      emitInterface(interfaceName, definition, enums, interfaces);
+
+      inputName = interfaceName;
+      if (hasInputTypes(definition, enums)) {
+        emitInterface(interfaceName, definition, enums, interfaces, true);
+        inputName = `${interfaceName}_Input`;
+      }
+
+      entries.push(`${version}: ${interfaceName};`);
+      inputEntries.push(`${version}: ${inputName};`);
+    }
+
+    maps.Messages.push(`  ${quote(name)}: { ${entries.join(' ')} };`);
+    maps.LatestMessages.push(`  ${quote(name)}: ${name}_v${sorted[sorted.length - 1]};`);
+    maps.MessageInputs.push(`  ${quote(name)}: { ${inputEntries.join(' ')} };`);
+    maps.LatestMessageInputs.push(`  ${quote(name)}: ${inputName};`);
+  }
+
+  const mapInterfaces = Object.keys(maps)
+    .map(mapName => [`export interface ${mapName} {`, ...maps[mapName], '}'].join('\n'));
+
+  return [HEADER, declarations.join('\n'), ...interfaces, ...mapInterfaces].join('\n\n').replace(/\n{3,}/g, '\n\n') + FOOTER;
+}
+
+module.exports = generateTypings;
@@ -0,0 +1,245 @@
+// requires
+const util = require('util');
+const Long = require('long');
+
+const { INTEGER_RANGES, META_TYPES, inlineArray } = require('./compiler');
+const { createLookup, createTest, formatConditions } = require('./conditions');
+
+// helper functions
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+const isInteger = value => isNumber(value) && Math.floor(value) === value;
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkLong(value, unsigned) {
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) return 'expected a safe integer';
+    if (unsigned && value < 0) return 'expected a non-negative integer';
+    return null;
+  }
+
+  if (isObject(value) && isInteger(value.low) && isInteger(value.high)) {
+    return null;
+  }
+
+  return 'expected a number or an object with "high" and "low" properties';
+}
+
+/**
+ * Checks a primitive value against its type.
+ * @private
+ * @param {String} type
+ * @param {*} value
+ * @returns {String|null} A description of the problem, if any.
+ */
+function checkPrimitive(type, value) {
+  const range = INTEGER_RANGES[type];
+  if (range) {
+    if (!isInteger(value)) return 'expected an integer';
+
+    const [min, max] = range;
+    if (value < min || value > max) return `out of range (${min} to ${max})`;
+    return null;
+  }
+
+  switch (type) {
+    case 'bool': {
+      if (typeof value === 'boolean' || value === 0 || value === 1) return null;
+      return 'expected a boolean, 0, or 1';
+    }
+
+    case 'float':
+    case 'double': {
+      return isNumber(value) ? null : 'expected a number';
+    }
+
+    case 'int64':
+    case 'uint64': {
+      return checkLong(value, type === 'uint64');
+    }
+
+    case 'vec3': {
+      if (isObject(value) && ['x', 'y', 'z'].every(k => isNumber(value[k]))) return null;
+      return 'expected an object with numeric "x", "y" and "z" properties';
+    }
+
+    case 'bytes': {
+      return Buffer.isBuffer(value) ? null : 'expected a Buffer';
+    }
+
+    case 'string': {
+      return (typeof value === 'string') ? null : 'expected a string';
+    }
+
+    default: {
+      return `unknown type: ${type}`;
+    }
+  }
+}
+
+/**
+ * Compares a (valid) value with a constant from the definition, where 64-bit
+ * constants are decimal strings.
+ * @private
+ * @param {String} type
+ * @param {*} value
+ * @param {*} constant
+ * @returns {Boolean}
+ */
+function sameConstant(type, value, constant) {
+  switch (type) {
+    case 'int64':
+    case 'uint64': {
+      const unsigned = (type === 'uint64');
+      const long = (typeof value === 'number')
+        ? Long.fromNumber(value, unsigned)
+        : new Long(value.low, value.high, unsigned);
+      return long.toString() === constant;
+    }
+
+    case 'float': return Math.fround(value) === Math.fround(constant);
+    case 'bool': return !!value === constant;
+    default: return value === constant;
+  }
+}
+
+function describe(value) {
+  return util.inspect(value, { depth: 0, breakLength: Infinity });
+}
+
+/**
+ * Checks the value of an inline array field.
+ * @private
+ * @param {Object} inline As returned by `compiler.inlineArray`.
+ * @param {*} value
+ * @param {String} keyPath
+ * @param {Function} report `(keyPath, message)`
+ */
+function checkInline(inline, value, keyPath, report) {
+  if (!Array.isArray(value)) {
+    report(keyPath, `expected an array, got ${describe(value)}`);
+    return;
+  }
+
+  if (inline.length !== null && value.length !== inline.length) {
+    report(keyPath, `expected ${inline.length} elements, got ${value.length}`);
+  } else if (value.length > 0xFFFF) {
+    report(keyPath, `too many elements (${value.length})`);
+  }
+
+  value.forEach((elem, i) => {
+    const problem = checkPrimitive(inline.type, elem);
+    if (problem) report(`${keyPath}.${i}`, `${problem} for ${inline.type}, got ${describe(elem)}`);
+  });
+}
+
+/**
+ * Recursively checks `data` against one level of a definition, pushing every
+ * problem found into `problems`.
+ * @private
+ * @param {Array} definition
+ * @param {Object} data
+ * @param {String} keyPathBase
+ * @param {Array} problems
+ */
+function validateFields(definition, data, keyPathBase, problems) {
+  const join = key => ((keyPathBase !== '') ? `${keyPathBase}.${key}` : `${key}`);
+  const report = (keyPath, message) => problems.push({ keyPath, message });
+
+  const known = new Set();
+
+  const lookup = createLookup(definition);
+
+  for (const [key, type, fieldOptions = {}] of definition) {
+    if (META_TYPES.includes(type)) continue;
+
+    known.add(key);
+
+    const keyPath = join(key);
+    const value = data[key];
+    const hasConstant = ('constant' in fieldOptions);
+
+    const test = createTest(fieldOptions.when, lookup);
+    if (test && !test(data)) {
+      if (value !== undefined) {
+        report(keyPath, `unexpected value (only written if ${formatConditions(fieldOptions.when)})`);
+      }
+      continue;
+    }
+
+    if (value === undefined) {
+      if (!hasConstant && !('default' in fieldOptions)) {
+        report(keyPath, `missing value (type: ${Array.isArray(type) ? type.type : type})`);
+      }
+      continue;
+    }
+
+    if (!Array.isArray(type)) {
+      const inline = inlineArray(type);
+      if (inline) {
+        checkInline(inline, value, keyPath, report);
+        continue;
+      }
+
+      const problem = checkPrimitive(type, value);
+      if (problem) {
+        report(keyPath, `${problem} for ${type}, got ${describe(value)}`);
+      } else if (hasConstant && !sameConstant(type, value, fieldOptions.constant)) {
+        report(keyPath, `expected constant ${describe(fieldOptions.constant)}, got ${describe(value)}`);
+      }
+      continue;
+    }
+
+    if (type.type === 'object') {
+      if (isObject(value)) {
+        validateFields(type, value, keyPath, problems);
+      } else {
+        report(keyPath, `expected an object, got ${describe(value)}`);
+      }
+      continue;
+    }
+
+    if (!Array.isArray(value)) {
+      report(keyPath, `expected an array, got ${describe(value)}`);
+      continue;
+    }
+
+    if (value.length > 0xFFFF) {
+      report(keyPath, `too many elements (${value.length})`);
+    }
+
+    value.forEach((elem, i) => {
+      const elemPath = join(`${key}.${i}`);
+      if (isObject(elem)) {
+        validateFields(type, elem, elemPath, problems);
+      } else {
+        report(elemPath, `expected an object, got ${describe(elem)}`);
+      }
+    });
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!known.has(key)) report(join(key), 'unknown key');
+  }
+}
+
+// exports
+/**
+ * Checks a data object against a definition without writing anything.
+ * @param {Array} definition
+ * @param {Object} data
+ * @returns {Object[]} A list of `{ keyPath, message }` problems, empty if
+ * `data` is valid.
+ */
+function validate(definition, data) {
+  const problems = [];
+
+  if (isObject(data)) {
+    validateFields(definition, data, '', problems);
+  } else {
+    problems.push({ keyPath: '', message: `expected an object, got ${describe(data)}` });
+  }
+
+  return problems;
+}
+
+module.exports = validate;
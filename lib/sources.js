@@ -0,0 +1,136 @@
+// requires
+const fs = require('fs');
+const path = require('path');
+
+const { readdir, readFile } = require('./async');
+
+// helper functions
+function resolveBasePath(basePath) {
+  return (path.basename(basePath) === 'package.json') ? path.dirname(basePath) : basePath;
+}
+
+function isThenable(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+// exports
+/**
+ * A source provides the files `load` reads. Paths are relative to the root of
+ * the source and always use `/` separators, e.g. `map/protocol.1.map`.
+ *
+ * - `list(dir)`: names of the files in `dir` (`map`, `protocol` or `enum`,
+ *   or `''` for the root). Directories that are optional, like `enum`, may
+ *   throw an `ENOENT` error if missing.
+ * - `read(file)`: contents of `file` as a string.
+ * - `listAsync(dir)`, `readAsync(file)` (optional): promise-returning
+ *   versions used by `loadAsync`. Without them, `list` and `read` are used,
+ *   and may also return promises.
+ * - `label(file)` (optional): how `file` is named in warnings and errors.
+ * @typedef {Object} Source
+ */
+
+/**
+ * Checks whether `value` implements the source interface.
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isSource(value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.list === 'function' && typeof value.read === 'function';
+}
+
+/**
+ * Creates a source reading from a tera-data directory.
+ * @param {String} basePath Path to the directory or its package.json.
+ * @returns {Source}
+ */
+function fromDirectory(basePath) {
+  basePath = resolveBasePath(basePath);
+  const resolve = file => path.join(basePath, file);
+
+  return {
+    list: dir => fs.readdirSync(resolve(dir)),
+    read: file => fs.readFileSync(resolve(file), 'utf8'),
+    listAsync: dir => readdir(resolve(dir)),
+    readAsync: file => readFile(resolve(file), 'utf8'),
+    label: resolve,
+  };
+}
+
+/**
+ * Creates a source from an object mapping relative paths to file contents.
+ * @param {Object} files e.g. `{ 'map/protocol.1.map': 'C_CHECK_VERSION 1' }`
+ * @returns {Source}
+ */
+function fromObject(files) {
+  const has = file => Object.prototype.hasOwnProperty.call(files, file);
+
+  return {
+    list(dir) {
+      const prefix = dir ? `${dir}/` : '';
+      return Object.keys(files)
+        .filter(file => file.startsWith(prefix) && !file.slice(prefix.length).includes('/'))
+        .map(file => file.slice(prefix.length));
+    },
+
+    read(file) {
+      if (!has(file)) throw new Error(`no such file "${file}"`);
+      return String(files[file]);
+    },
+  };
+}
+
+/**
+ * Returns `source` if it is already a source, otherwise a directory source.
+ * @param {Source|String} source
+ * @returns {Source}
+ */
+function resolveSource(source) {
+  return isSource(source) ? source : fromDirectory(source);
+}
+
+/**
+ * Lists and reads files from a source synchronously.
+ * @param {Source} source
+ * @returns {Object} `{ list(dir), read(file), label(file) }`
+ * @throws Errors if the source returns promises.
+ */
+function syncReader(source) {
+  const check = (value, method) => {
+    if (isThenable(value)) {
+      throw new Error(`source.${method}() is asynchronous; use loadAsync() instead`);
+    }
+    return value;
+  };
+
+  return {
+    list: dir => check(source.list(dir), 'list'),
+    read: file => check(source.read(file), 'read'),
+    label: file => (source.label ? source.label(file) : file),
+  };
+}
+
+/**
+ * Lists and reads files from a source, always returning promises.
+ * @param {Source} source
+ * @returns {Object} `{ list(dir), read(file), label(file) }`
+ */
+function asyncReader(source) {
+  const list = source.listAsync || source.list;
+  const read = source.readAsync || source.read;
+
+  return {
+    list: dir => Promise.resolve().then(() => list.call(source, dir)),
+    read: file => Promise.resolve().then(() => read.call(source, file)),
+    label: file => (source.label ? source.label(file) : file),
+  };
+}
+
+module.exports = {
+  asyncReader,
+  fromDirectory,
+  fromObject,
+  isSource,
+  resolveSource,
+  syncReader,
+};
@@ -1,52 +1,249 @@
 // requires
-const fs = require('fs');
-const path = require('path');
-
 const log = require('../logger');
+const bundle = require('../bundle');
+const diagnostics = require('../diagnostics');
+const Loader = require('../loader');
+const sources = require('../sources');
 const mapParser = require('../parsers/map');
+const manifest = require('../manifest');
+const { buildMessage, parseMessage } = require('./message');
 
 // constants
 const PATH_MAPS = 'map';
 
+// helper functions
+/**
+ * Picks out the sysmsg map files from a directory listing, warning about
+ * files with invalid names.
+ * @private
+ * @param {Object} reader A reader returned by `sources.syncReader` or
+ * `sources.asyncReader`.
+ * @param {String[]} mapFiles
+ * @param {Object[]} [problems] Collects diagnostics, if given.
+ * @returns {Object[]} A list of `{ file, fullpath, version }`, where `file`
+ * is relative to the source and `fullpath` is its label.
+ */
+function findFiles(reader, mapFiles, problems = null) {
+  const files = [];
+
+  for (const name of mapFiles) {
+    const file = `${PATH_MAPS}/${name}`;
+    const fullpath = reader.label(file);
+
+    const parsedName = name.match(/^sysmsg.(\d+)\.map$/);
+    if (!parsedName) {
+      if (name.startsWith('sysmsg.') && name.endsWith('.map')) {
+        diagnostics.report(problems, {
+          severity: 'error',
+          code: 'invalid-filename',
+          message: 'invalid filename syntax',
+          file: fullpath,
+        });
+        log.warn(`[sysmsg] load - invalid filename syntax "${fullpath}"`);
+      } else {
+        log.debug(`[sysmsg] load - skipping path "${fullpath}"`);
+      }
+      continue;
+    }
+
+    files.push({ file, fullpath, version: parseInt(parsedName[1], 10) });
+  }
+
+  return files;
+}
+
+/**
+ * Lists the files read by `loadAsync`.
+ * @private
+ * @param {Object} reader A reader returned by `sources.asyncReader`.
+ * @param {Object[]} [problems] Collects diagnostics, if given.
+ * @returns {Promise<Object>} `{ entries, finish }`, see `Loader#loadAsync`.
+ */
+function prepareLoadAsync(reader, problems) {
+  return Promise.all([reader.list(PATH_MAPS), reader.list('')]).then(([mapFiles, rootFiles]) => {
+    const files = findFiles(reader, mapFiles, problems);
+    const manifestFile = manifest.findManifest(reader, rootFiles);
+    const entries = [].concat(
+      files.map(entry => ({ entry, parser: mapParser.parseMapString })),
+      manifestFile ? [{ entry: manifestFile, parser: manifest.parseManifestString }] : []
+    );
+
+    const finish = (parsed) => {
+      const versions = manifestFile ? parsed.pop() : [];
+      return [files, parsed, versions];
+    };
+
+    return { entries, finish };
+  });
+}
+
 // exports
-class TeraSysmsg {
+class TeraSysmsg extends Loader {
   constructor() {
+    super('sysmsg', 'sysmsg', prepareLoadAsync);
+
     this.maps = new Map();
-    this.loaded = false;
+    this.versions = [];
   }
 
-  load(basePath = require.resolve('tera-data')) {
+  /**
+   * Replaces the loaded maps with newly parsed ones.
+   * @private
+   * @param {Object[]} files As returned by `findFiles`.
+   * @param {Object[]} mappings Parsed maps, in the same order as `files`.
+   * @param {Object[]} versions Parsed version manifest entries.
+   */
+  applyLoad(files, mappings, versions) {
     const { maps } = this;
     maps.clear();
+    this.versions = versions;
+
+    files.forEach(({ version }, i) => {
+      if (mappings[i]) maps.set(version, mappings[i]);
+    });
+
+    this.loaded = true;
+  }
+
+  /**
+   * Replaces the loaded maps with those from a bundle.
+   * @private
+   * @param {Object} data A validated bundle.
+   * @throws Errors if the bundle has no sysmsg data.
+   */
+  applyBundle(data) {
+    if (!data.sysmsg) throw new Error('[sysmsg] load - bundle contains no sysmsg data');
+
+    const { maps, versions } = bundle.unpack(data.sysmsg);
+    this.versions = versions;
+
+    this.maps.clear();
+    for (const [version, map] of maps) this.maps.set(version, map);
 
-    if (path.basename(basePath) === 'package.json') {
-      basePath = path.dirname(basePath);
+    this.loaded = true;
+  }
+
+  /**
+   * Loads (or reloads) the sysmsg maps.
+   * @param {String|Object} [basePath] Path to the base package.json, a source
+   * (see `sources`), or a bundle (object or file path) created by `tera-bundle`.
+   * @param {Object} [options]
+   * @param {Boolean} [options.diagnostics] Return the list of diagnostics
+   * (`{ severity, file, line, column, code, message }`) instead of `true`.
+   * @param {Boolean} [options.strict] Throw if any diagnostic is an error,
+   * keeping the previously loaded data.
+   * @param {String} [options.duplicates] How to handle names or codes that
+   * are mapped more than once: `warn` (default), `error`, `first-wins` or
+   * `last-wins`. See `parseMapString`.
+   * @returns {Boolean|Object[]}
+   */
+  load(basePath = require.resolve('tera-data'), options = {}) {
+    const problems = (options.diagnostics || options.strict) ? [] : null;
+
+    if (!sources.isSource(basePath) && bundle.isBundle(basePath)) {
+      this.applyBundle(bundle.read(basePath));
+      return options.diagnostics ? problems : true;
     }
 
-    const mapPath = path.join(basePath, PATH_MAPS);
-    const mapFiles = fs.readdirSync(mapPath);
-    for (const file of mapFiles) {
-      const fullpath = path.join(mapPath, file);
-
-      const parsedName = path.basename(file).match(/^sysmsg.(\d+)\.map$/);
-      if (!parsedName) {
-        if (file.startsWith('sysmsg.') && file.endsWith('.map')) {
-          log.warn(`[sysmsg] load - invalid filename syntax "${fullpath}"`);
-        } else {
-          log.debug(`[sysmsg] load - skipping path "${fullpath}"`);
-        }
-        continue;
-      }
+    const reader = sources.syncReader(sources.resolveSource(basePath));
+    const files = findFiles(reader, reader.list(PATH_MAPS), problems);
+    const parserOptions = { diagnostics: problems, duplicates: options.duplicates };
+    const mappings = files.map(({ file, fullpath }) =>
+      mapParser.parseMapString(reader.read(file), fullpath, parserOptions));
+
+    const manifestFile = manifest.findManifest(reader, reader.list(''));
+    const versions = manifestFile ? manifest.parseManifestString(
+      reader.read(manifestFile.file),
+      manifestFile.fullpath,
+      parserOptions
+    ) : [];
+
+    if (options.strict) diagnostics.assertNoErrors(problems, '[sysmsg] load');
+
+    this.applyLoad(files, mappings, versions);
+    return options.diagnostics ? problems : true;
+  }
+
+  /**
+   * Finds the sysmsg version used by a game client, using the version
+   * manifest (`versions.json`) loaded from tera-data.
+   * @param {Number|String|Object} clientInfo A client build number, a patch
+   * identifier, an object with `build` and/or `patch`, or a parsed
+   * `C_CHECK_VERSION` message.
+   * @returns {Number}
+   * @throws Errors if the client is not in the manifest.
+   */
+  resolveVersion(clientInfo) {
+    this.ensureLoaded();
+    return manifest.resolveVersion(this.versions, 'sysmsg', clientInfo);
+  }
 
-      const version = parseInt(parsedName[1], 10);
-      const mapping = mapParser(fullpath);
-      if (!mapping) continue;
+  /**
+   * Returns the map for `version`, loading tera-data first if needed.
+   * @private
+   * @param {Number} version
+   * @returns {Object}
+   * @throws Errors if there is no map for `version`.
+   */
+  getMap(version) {
+    this.ensureLoaded();
 
-      maps.set(version, mapping);
+    const map = this.maps.get(version);
+    if (!map) {
+      throw new Error(`[sysmsg] no mapping for version ${version}`);
     }
+    return map;
+  }
 
-    this.loaded = true;
-    return true;
+  /**
+   * Parses a system message string, e.g. `@1234\vUserName\vFoo`.
+   * @param {Number} version
+   * @param {String} str
+   * @returns {Object} `{ id, name, tokens }`. `name` is `null` if `id` is not
+   * mapped. Token values that are references, such as `@item:123`, become
+   * `{ type, id }` objects.
+   * @throws Errors if `str` is not a system message.
+   */
+  parse(version, str) {
+    const map = this.getMap(version);
+    const { id, tokens } = parseMessage(str);
+    const name = map.code.has(id) ? map.code.get(id) : null;
+    return { id, name, tokens };
+  }
+
+  /**
+   * Builds a system message string. Inverse of `parse`.
+   * @param {Number} version
+   * @param {String|Number} name A message name, or its numeric id.
+   * @param {Object} [tokens] Token values: strings, numbers, or references
+   * as `{ type, id }` objects.
+   * @returns {String}
+   * @throws Errors if `name` is not mapped, or a token contains `\v`.
+   */
+  build(version, name, tokens = {}) {
+    const map = this.getMap(version);
+
+    let id = name;
+    if (typeof name === 'string') {
+      if (!map.name.has(name)) {
+        throw new Error(`[sysmsg] build - unmapped name "${name}" for version ${version}`);
+      }
+      id = map.name.get(name);
+    }
+
+    try {
+      return buildMessage(id, tokens);
+    } catch (err) {
+      err.message = `[sysmsg] build - ${name}: ${err.message}`;
+      throw err;
+    }
+  }
+
+  /**
+   * @returns {TeraSysmsg}
+   */
+  createInstance(...args) {
+    return new this.constructor(...args);
   }
 }
 
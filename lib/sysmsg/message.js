@@ -0,0 +1,105 @@
+// constants
+const SEPARATOR = '\v';
+
+// helper functions
+/**
+ * Converts `value` to a number if it is an integer written in canonical form,
+ * so that converting it back gives the same string.
+ * @private
+ * @param {String} value
+ * @returns {Number|String}
+ */
+function toId(value) {
+  const number = Number(value);
+  return (/^-?\d+$/.test(value) && String(number) === value) ? number : value;
+}
+
+/**
+ * Parses a token value, turning references such as `@item:123` into
+ * `{ type, id }` objects.
+ * @private
+ * @param {String} value
+ * @returns {String|Object}
+ */
+function parseValue(value) {
+  const match = value.match(/^@([A-Za-z]\w*):(.*)$/);
+  return match ? { type: match[1], id: toId(match[2]) } : value;
+}
+
+/**
+ * Inverse of `parseValue`.
+ * @private
+ * @param {String|Number|Object} value
+ * @param {String} key Used in error messages.
+ * @returns {String}
+ */
+function buildValue(value, key) {
+  let str;
+  if (value !== null && typeof value === 'object') {
+    if (typeof value.type !== 'string' || value.id == null) {
+      throw new TypeError(`token "${key}": references must have a "type" and an "id"`);
+    }
+    str = `@${value.type}:${value.id}`;
+  } else {
+    str = String(value);
+  }
+
+  if (str.includes(SEPARATOR)) {
+    throw new Error(`token "${key}": value must not contain "\\v"`);
+  }
+  return str;
+}
+
+// exports
+/**
+ * Splits a system message string such as `@1234\vUserName\vFoo` into its
+ * numeric id and its tokens.
+ * @param {String} str
+ * @returns {Object} `{ id, tokens }`, where `tokens` maps each token name to
+ * its value. References such as `@item:123` become `{ type, id }` objects.
+ * `tokens` has no prototype, so that names like `__proto__` are kept as is.
+ * @throws Errors if `str` is not a system message.
+ */
+function parseMessage(str) {
+  const parts = String(str).split(SEPARATOR);
+  const match = parts[0].match(/^@(\d+)$/);
+  if (!match) {
+    throw new Error(`not a system message: ${JSON.stringify(str)}`);
+  }
+
+  if (parts.length % 2 === 0) {
+    throw new Error(`token without a value in system message: ${JSON.stringify(str)}`);
+  }
+
+  const tokens = Object.create(null);
+  for (let i = 1; i < parts.length; i += 2) {
+    tokens[parts[i]] = parseValue(parts[i + 1]);
+  }
+
+  return { id: parseInt(match[1], 10), tokens };
+}
+
+/**
+ * Inverse of `parseMessage`.
+ * @param {Number} id
+ * @param {Object} [tokens]
+ * @returns {String}
+ * @throws Errors if a token name or value contains the separator.
+ */
+function buildMessage(id, tokens = {}) {
+  const parts = [`@${id}`];
+
+  for (const key of Object.keys(tokens)) {
+    if (key === '' || key.includes(SEPARATOR)) {
+      throw new Error(`invalid token name ${JSON.stringify(key)}`);
+    }
+    parts.push(key, buildValue(tokens[key], key));
+  }
+
+  return parts.join(SEPARATOR);
+}
+
+module.exports = {
+  buildMessage,
+  parseMessage,
+};
@@ -0,0 +1,31 @@
+const { test } = require('tap');
+
+const { mapLimit } = require('../lib/async');
+
+// tests
+test('mapLimit', (t) => {
+  let running = 0;
+  let peak = 0;
+  const double = value => new Promise((resolve) => {
+    running++;
+    peak = Math.max(peak, running);
+    setImmediate(() => {
+      running--;
+      resolve(value * 2);
+    });
+  });
+
+  return mapLimit([1, 2, 3, 4, 5], 2, double)
+    .then((results) => {
+      t.same(results, [2, 4, 6, 8, 10], 'should keep the order of items');
+      t.equal(peak, 2, 'should not run more than limit calls at once');
+      return mapLimit([], 1, double);
+    })
+    .then((results) => {
+      t.same(results, [], 'should resolve empty lists');
+      return Promise.all([0, -1, 1.5, NaN, '2'].map(limit => mapLimit([1], limit, double).then(
+        () => t.fail(`should reject limit ${limit}`),
+        err => t.match(err.message, /limit must be an integer >= 1/, `should reject limit ${limit}`)
+      )));
+    });
+});
@@ -0,0 +1,148 @@
+const { test } = require('tap');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const bundle = require('../lib/bundle');
+const protocol = require('../lib/protocol');
+const sysmsg = require('../lib/sysmsg');
+const sources = require('../lib/sources');
+const spec = require('./spec/protocol-spec');
+
+// helper functions
+function getTestDataPath(dir) {
+  return path.join(__dirname, 'fixtures', dir);
+}
+
+// includes the `type` property of definition arrays, which t.same ignores
+function dump(value) {
+  if (value instanceof Map) return [...value].map(([k, v]) => [k, dump(v)]);
+  if (Array.isArray(value)) return { type: value.type, items: value.map(dump) };
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).map(k => [k, dump(value[k])]);
+  }
+  return value;
+}
+
+function createBundle() {
+  const protocolInstance = protocol.createInstance();
+  protocolInstance.load(getTestDataPath('protocol-write'));
+
+  const sysmsgInstance = sysmsg.createInstance();
+  sysmsgInstance.load(getTestDataPath('sysmsg'));
+
+  // round trip through JSON, as if read from a file
+  const data = JSON.parse(JSON.stringify(bundle.create({
+    protocol: protocolInstance,
+    sysmsg: sysmsgInstance,
+  })));
+
+  return { protocolInstance, sysmsgInstance, data };
+}
+
+// tests
+test('load from object', (t) => {
+  const { protocolInstance, sysmsgInstance, data } = createBundle();
+
+  const p = protocol.createInstance();
+  t.ok(p.load(data), 'should load protocol from a bundle object');
+  t.same(dump(p.maps), dump(protocolInstance.maps), 'should restore protocol maps');
+  t.same(dump(p.messages), dump(protocolInstance.messages), 'should restore definitions');
+
+  for (const testCase of spec.both) {
+    t.same(p.parse(1, ...testCase.args, testCase.buffer), testCase.object, `${testCase.it} (bundle)`);
+  }
+
+  const s = sysmsg.createInstance();
+  t.ok(s.load(data), 'should load sysmsg from a bundle object');
+  t.same(dump(s.maps), dump(sysmsgInstance.maps), 'should restore sysmsg maps');
+
+  t.end();
+});
+
+test('load from file', (t) => {
+  const { protocolInstance, data } = createBundle();
+  const file = path.join(os.tmpdir(), `tera-data-bundle-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify(data));
+
+  const p = protocol.createInstance();
+  t.ok(p.load(file), 'should load a bundle file');
+  t.same(dump(p.messages), dump(protocolInstance.messages), 'should restore definitions from file');
+
+  const asyncInstance = protocol.createInstance();
+  return asyncInstance.loadAsync(file)
+    .then(() => {
+      t.same(dump(asyncInstance.messages), dump(protocolInstance.messages), 'should load a bundle file asynchronously');
+    })
+    .then(() => fs.unlinkSync(file), (err) => {
+      fs.unlinkSync(file);
+      throw err;
+    });
+});
+
+test('invalid bundles', (t) => {
+  const p = protocol.createInstance();
+
+  t.throws(() => p.load({}), /is not a tera-data bundle/, 'should reject objects that are not bundles');
+  t.throws(
+    () => p.load({ format: bundle.FORMAT, version: bundle.VERSION + 1 }),
+    /unsupported version/,
+    'should reject unsupported bundle versions'
+  );
+  t.throws(
+    () => p.load({ format: bundle.FORMAT, version: bundle.VERSION }),
+    /bundle contains no protocol data/,
+    'should reject bundles without protocol data'
+  );
+
+  t.end();
+});
+
+test('version manifest', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_SOURCE 1\n',
+    'versions.json': JSON.stringify([{ build: 336578, protocol: 1, sysmsg: 92 }]),
+  }));
+
+  const data = JSON.parse(JSON.stringify(bundle.create({ protocol: instance })));
+  const restored = protocol.createInstance();
+  restored.load(data);
+  t.equal(restored.resolveVersion(336578), 1, 'should keep the version manifest in bundles');
+  t.end();
+});
+
+test('default and constant values', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_VALUES 1\n',
+    'protocol/TEST_VALUES.1.def': 'const uint64 magic 123\nint32 unk 7\n',
+  }));
+
+  const data = JSON.parse(JSON.stringify(bundle.create({ protocol: instance })));
+  const restored = protocol.createInstance();
+  restored.load(data);
+  t.same(
+    restored.write(1, 'TEST_VALUES', {}),
+    instance.write(1, 'TEST_VALUES', {}),
+    'should keep default and constant values in bundles'
+  );
+  t.end();
+});
+
+test('enums', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_ENUMS 1\n',
+    'protocol/TEST_ENUMS.1.def': 'uint16:ItemFlags flags\n',
+    'enum/ItemFlags.flags': 'BOUND 1\nTRADABLE 2\n',
+  }));
+
+  const data = JSON.parse(JSON.stringify(bundle.create({ protocol: instance })));
+  const restored = protocol.createInstance();
+  restored.load(data);
+
+  const buffer = restored.write(1, 'TEST_ENUMS', { flags: ['TRADABLE'] });
+  t.same(restored.parse(1, 'TEST_ENUMS', buffer, { enums: true }), { flags: ['TRADABLE'] }, 'should keep enums in bundles');
+  t.end();
+});
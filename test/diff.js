@@ -0,0 +1,112 @@
+const { test } = require('tap');
+const path = require('path');
+
+const protocol = require('../lib/protocol');
+const sources = require('../lib/sources');
+const diff = require('../lib/protocol/diff');
+
+// helper functions
+function getTestDataPath(dir) {
+  return path.join(__dirname, 'fixtures', dir);
+}
+
+// tests
+test('diffProtocol', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(getTestDataPath('protocol-diff'));
+
+  const report = diff.diffProtocol(instance, 1, 2);
+
+  t.same(report.added, [
+    { name: 'S_ADDED', code: 104 },
+    { name: 'S_NO_DEF', code: 105 },
+  ], 'should list added messages');
+
+  t.same(report.removed, [{ name: 'S_REMOVED', code: 102 }], 'should list removed messages');
+  t.same(report.changed, [{ name: 'S_MOVED', from: 101, to: 201 }], 'should list changed opcodes');
+  t.same(report.missing, ['S_NO_DEF'], 'should list messages without a definition');
+
+  t.same(report.definitions, [{
+    name: 'S_CHANGED',
+    from: 1,
+    to: 2,
+    added: [
+      { keyPath: 'owner', type: 'int64' },
+      { keyPath: 'items.bound', type: 'bool' },
+    ],
+    removed: [{ keyPath: 'speed', type: 'float' }],
+    retyped: [{ keyPath: 'kind', from: 'uint16', to: 'uint32' }],
+    reordered: [
+      { keyPath: 'kind', from: 1, to: 2 },
+      { keyPath: 'items.item', from: 0, to: 1 },
+    ],
+  }], 'should diff the latest definitions of each message');
+
+  const text = diff.formatDiff(report);
+  t.match(text, /^protocol 1 -> 2\n/, 'should format a header');
+  t.match(text, /\n {2}~ S_MOVED 101 -> 201\n/, 'should format changed opcodes');
+  t.match(text, /\n {4}~ kind: uint16 -> uint32\n/, 'should format retyped fields');
+
+  t.throws(() => diff.diffProtocol(instance, 1, 3), /no mapping for protocol version 3/, 'should throw on unknown versions');
+
+  t.end();
+});
+
+test('diffProtocol with conditional fields', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'S_COND 100\nS_SINGLE 101\n',
+    'map/protocol.2.map': 'S_COND 100\nS_SINGLE 101\n',
+    'protocol/S_COND.1.def': 'int32 id\nint32 old\n',
+    'protocol/S_COND.2.def': 'int32 id\nint32 extra if protocol < 2\nint64 owner if protocol >= 2\n',
+    'protocol/S_SINGLE.1.def': 'int32 id\nfloat speed if protocol >= 2\n',
+  }));
+
+  t.same(diff.diffProtocol(instance, 1, 2).definitions, [
+    {
+      name: 'S_COND',
+      from: 1,
+      to: 2,
+      added: [{ keyPath: 'owner', type: 'int64' }],
+      removed: [{ keyPath: 'old', type: 'int32' }],
+      retyped: [],
+      reordered: [],
+    },
+    {
+      name: 'S_SINGLE',
+      from: 1,
+      to: 1,
+      added: [{ keyPath: 'speed', type: 'float' }],
+      removed: [],
+      retyped: [],
+      reordered: [],
+    },
+  ], 'should compare each side as its protocol version sees it');
+
+  t.end();
+});
+
+test('diffDefinitions', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(getTestDataPath('protocol-write'));
+
+  const all = instance.messages.get('TEST_ALL').get(1);
+  t.same(
+    diff.diffDefinitions(all, all),
+    { added: [], removed: [], retyped: [], reordered: [] },
+    'should report no changes for identical definitions'
+  );
+
+  t.same(
+    diff.diffDefinitions(instance.messages.get('TEST_VERSIONS').get(1), instance.messages.get('TEST_VERSIONS').get(2)),
+    {
+      added: [{ keyPath: 'int16', type: 'int16' }],
+      removed: [{ keyPath: 'byte', type: 'byte' }],
+      retyped: [],
+      reordered: [],
+    },
+    'should report added and removed fields'
+  );
+
+  t.end();
+});
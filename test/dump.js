@@ -0,0 +1,75 @@
+const { test } = require('tap');
+const path = require('path');
+
+const protocol = require('../lib/protocol');
+const dump = require('../lib/protocol/dump');
+const { parseDefString } = require('../lib/parsers/def');
+
+// helper functions
+function getTestDataPath(dir) {
+  return path.join(__dirname, 'fixtures', dir);
+}
+
+const instance = protocol.createInstance();
+instance.load(getTestDataPath('protocol-write'));
+
+const data = { int: 5, obj: { str: 'hi', arr: [{ int: 1 }, { int: 2 }] }, str: 'abc', arr: [{ int: 3 }] };
+const buffer = instance.write(1, 'TEST_OBJECT_COMPLEX', '*', data);
+const definition = instance.messages.get('TEST_OBJECT_COMPLEX').get(1);
+
+// tests
+test('trace', (t) => {
+  const result = dump.trace(definition, buffer);
+  const ranges = result.entries.map(e => [e.start, e.end, e.keyPath, e.type]);
+
+  t.equal(result.error, null, 'should not report an error for valid messages');
+  t.same(result.unread, [], 'should read every byte of valid messages');
+  t.same(ranges.slice(0, 3), [[0, 2, '<length>', 'uint16'], [2, 4, '<code>', 'uint16'], [4, 6, 'obj.str', 'offset']], 'should start with the header');
+  t.same(ranges.filter(r => r[3] === 'element').map(r => r[2]), ['obj.arr.0', 'obj.arr.1', 'arr.0'], 'should record array element headers');
+  t.same(result.entries.find(e => e.keyPath === 'obj.arr.1.int').value, 2, 'should record decoded values');
+  t.notOk(result.entries.some(e => e.jump || e.overlap), 'should not report jumps or overlaps for valid messages');
+
+  // point `str` back at `obj.str`, leaving the original string unread
+  const broken = Buffer.from(buffer);
+  const strOffset = result.entries.find(e => e.keyPath === 'str' && e.type === 'offset');
+  const objStr = result.entries.find(e => e.keyPath === 'obj.str' && e.type === 'string');
+  const str = result.entries.find(e => e.keyPath === 'str' && e.type === 'string');
+  broken.writeUInt16LE(objStr.start, strOffset.start);
+
+  const brokenResult = dump.trace(definition, broken);
+  const brokenStr = brokenResult.entries.find(e => e.keyPath === 'str' && e.type === 'string');
+  t.ok(brokenStr.jump, 'should mark offset jumps');
+  t.ok(brokenStr.overlap, 'should mark overlapping reads');
+  t.same(brokenResult.unread, [{ start: str.start, end: str.end }], 'should report unread bytes');
+
+  // corrupt the header of the second element of `obj.arr`
+  const badArray = Buffer.from(buffer);
+  badArray.writeUInt16LE(0, result.entries.find(e => e.keyPath === 'obj.arr.1').start);
+  t.match(dump.trace(definition, badArray).error.message, /cannot find next element of array "obj\.arr"/, 'should stop at array errors');
+
+  t.match(dump.trace(definition, buffer.slice(0, 20)).error.message, /unterminated string/, 'should stop at truncated data');
+
+  // conditions see the constant, like the compiled reader, not the 2 on the wire
+  const conditional = parseDefString('const byte kind 1\nint32 extra if kind == 1\n', 'conditional.def');
+  const mismatch = Buffer.from([9, 0, 0, 0, 2, 7, 0, 0, 0]);
+  const conditionalResult = dump.trace(conditional, mismatch);
+  t.same(conditionalResult.entries.map(e => [e.keyPath, e.value]).slice(2), [['kind', 2], ['extra', 7]], 'should test conditions against constant values');
+  t.same(conditionalResult.unread, [], 'should read conditional fields like the compiled reader');
+  t.end();
+});
+
+test('protocol.dump', (t) => {
+  const text = instance.dump(1, 'TEST_OBJECT_COMPLEX', buffer);
+  const lines = text.split('\n');
+
+  t.equal(lines[0], `TEST_OBJECT_COMPLEX<1> (code 7, ${buffer.length} bytes)`, 'should start with a title');
+  t.match(text, /\n0010 {2}05 00 {20}int \(int16\) = 5\n/, 'should annotate fields with offset, bytes, key path, type and value');
+  t.match(text, /obj\.arr\.0 \(element\) = here=\d+ next=\d+/, 'should annotate array element headers');
+  t.equal(instance.dump(1, null, buffer), text, 'should look up the opcode in the header');
+
+  const broken = Buffer.concat([buffer, Buffer.from([0xAA, 0xBB])]);
+  broken.writeUInt16LE(broken.length, 0);
+  t.match(instance.dump(1, 'TEST_OBJECT_COMPLEX', broken), /\n[0-9a-f]{4} {2}aa bb {20}\?\? unread \(2 bytes\)\n/, 'should show unread bytes');
+  t.match(instance.dump(1, 'TEST_OBJECT_COMPLEX', buffer.slice(0, 20)), /\nerror: unterminated string/, 'should show errors');
+  t.end();
+});
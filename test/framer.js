@@ -0,0 +1,95 @@
+const { test } = require('tap');
+const path = require('path');
+
+const protocol = require('../lib/protocol');
+const Framer = require('../lib/protocol/framer');
+const spec = require('./spec/protocol-spec');
+
+// helper functions
+function getTestDataPath(dir) {
+  return path.join(__dirname, 'fixtures', dir);
+}
+
+function collect(framer, chunks, callback) {
+  const frames = [];
+  framer.on('data', frame => frames.push(frame));
+  framer.once('error', err => callback(err, frames));
+  framer.on('end', () => callback(null, frames));
+
+  for (const chunk of chunks) framer.write(chunk);
+  framer.end();
+}
+
+// tests
+test('framing', (t) => {
+  const cases = spec.both.slice(3, 8);
+  const stream = Buffer.concat(cases.map(testCase => testCase.buffer));
+
+  // split at every possible boundary, including inside headers
+  const chunks = [];
+  for (let i = 0; i < stream.length; i += 3) chunks.push(stream.slice(i, i + 3));
+
+  collect(new Framer(), chunks, (err, frames) => {
+    t.error(err, 'should not error on valid input');
+    t.same(frames.map(frame => frame.buffer), cases.map(testCase => testCase.buffer), 'should reassemble messages');
+    t.same(frames.map(frame => frame.code), cases.map(testCase => testCase.buffer.readUInt16LE(2)), 'should read opcodes');
+    t.ok(frames.every(frame => frame.name === null), 'should not resolve names without a protocol');
+    t.end();
+  });
+});
+
+test('parsing', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(getTestDataPath('protocol-write'));
+
+  const testCase = spec.both.find(c => c.args[0] === 'TEST_ALL');
+  const unknown = Buffer.from('0400ffff', 'hex');
+
+  collect(instance.createFramer(1), [Buffer.concat([testCase.buffer, unknown])], (err, frames) => {
+    t.error(err, 'should not error on valid input');
+    t.equal(frames[0].name, 'TEST_ALL', 'should resolve names');
+    t.same(frames[0].data, testCase.object, 'should parse messages');
+    t.equal(frames[1].name, null, 'should leave unmapped names null');
+    t.notOk('data' in frames[1], 'should not parse unmapped messages');
+    t.end();
+  });
+});
+
+test('unloaded protocol', (t) => {
+  // load the fixtures instead of tera-data on first use
+  const instance = protocol.createInstance();
+  const { load } = instance;
+  instance.load = (basePath = getTestDataPath('protocol-write'), options) => load.call(instance, basePath, options);
+
+  const testCase = spec.both.find(c => c.args[0] === 'TEST_ALL');
+  t.notOk(instance.loaded, 'should start unloaded');
+
+  collect(instance.createFramer(1), [testCase.buffer], (err, frames) => {
+    t.error(err, 'should not error on valid input');
+    t.ok(instance.loaded, 'should load the protocol on first use');
+    t.equal(frames[0].name, 'TEST_ALL', 'should resolve names');
+    t.same(frames[0].data, testCase.object, 'should parse messages');
+    t.end();
+  });
+});
+
+test('errors', (t) => {
+  t.plan(4);
+
+  collect(new Framer(), [Buffer.from('0000', 'hex')], (err) => {
+    t.match(err, /invalid message length 0/, 'should error on zero length');
+  });
+
+  const valid = spec.both[3].buffer;
+  collect(new Framer(), [valid, Buffer.from('0000', 'hex'), valid], (err, frames) => {
+    t.same([err && err.message, frames.length], ['invalid message length 0 (smaller than header)', 1], 'should drop input after an error');
+  });
+
+  collect(new Framer({ maxLength: 8 }), [Buffer.from('0900000000', 'hex')], (err) => {
+    t.match(err, /invalid message length 9 \(max 8\)/, 'should error on oversized length');
+  });
+
+  collect(new Framer(), [Buffer.from('080001', 'hex')], (err) => {
+    t.match(err, /incomplete message/, 'should error on truncated stream');
+  });
+});
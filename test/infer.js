@@ -0,0 +1,109 @@
+const { test } = require('tap');
+const path = require('path');
+
+const protocol = require('../lib/protocol');
+const sources = require('../lib/sources');
+const infer = require('../lib/protocol/infer');
+
+// helper functions
+function getTestDataPath(dir) {
+  return path.join(__dirname, 'fixtures', dir);
+}
+
+const instance = protocol.createInstance();
+instance.load(getTestDataPath('protocol-write'));
+
+// loads `def` as TEST_INFERRED, so packets can be parsed with it
+function loadInferred(def) {
+  const inferred = protocol.createInstance();
+  inferred.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_INFERRED 1\n',
+    'protocol/TEST_INFERRED.1.def': def,
+  }));
+  return inferred;
+}
+
+// tests
+test('inferDefinition', (t) => {
+  const samples = [
+    { int: 5, obj: { str: 'hi', arr: [{ int: 1 }, { int: 2 }] }, str: 'abc', arr: [{ int: 3 }] },
+    { int: -1, obj: { str: '', arr: [] }, str: 'longer string', arr: [{ int: 4 }, { int: 5 }, { int: 6 }] },
+    { int: 300, obj: { str: 'x', arr: [{ int: 7 }] }, str: '', arr: [{ int: 8 }] },
+  ];
+  const packets = samples.map(data => instance.write(1, 'TEST_OBJECT_COMPLEX', '*', data));
+  const result = infer.inferDefinition(packets);
+  const text = infer.formatDefinition(result, packets.length);
+
+  t.equal(text, [
+    '# inferred from 3 packets',
+    'int16 unk1',
+    'string str1',
+    'array array1',
+    '- int16 unk1',
+    'string str2',
+    'array array2',
+    '- int16 unk1',
+    '',
+  ].join('\n'), 'should infer strings, arrays and fixed fields (with objects flattened)');
+
+  const inferred = loadInferred(text);
+  packets.forEach((packet, i) => {
+    const data = inferred.parse(1, 'TEST_INFERRED', 1, packet, { strict: true });
+    t.same(
+      [data.unk1, data.str1, data.array1.map(e => e.unk1), data.str2, data.array2.map(e => e.unk1)],
+      [
+        samples[i].int,
+        samples[i].obj.str,
+        samples[i].obj.arr.map(e => e.int),
+        samples[i].str,
+        samples[i].arr.map(e => e.int),
+      ],
+      `should parse sample ${i} with the inferred definition`
+    );
+  });
+
+  t.same(result.definition, inferred.messages.get('TEST_INFERRED').get(1), 'should return the definition in parser format');
+  t.end();
+});
+
+test('fixed fields', (t) => {
+  const source = loadInferred('bytes blob\nint32 id\nvec3 loc\nfloat speed\nint16 kind\nbool flag\n');
+  const samples = [
+    {
+      blob: Buffer.from([1, 2, 3]),
+      id: 100000,
+      loc: { x: 100.25, y: -20, z: 3 },
+      speed: 1.5,
+      kind: 3,
+      flag: true,
+    },
+    {
+      blob: Buffer.from([4]),
+      id: 7,
+      loc: { x: -5.5, y: 60000, z: 0.75 },
+      speed: 250,
+      kind: 300,
+      flag: false,
+    },
+  ];
+  const packets = samples.map(data => source.write(1, 'TEST_INFERRED', 1, data));
+
+  t.equal(
+    infer.formatDefinition(infer.inferDefinition(packets)),
+    'bytes bytes1\nint32 unk1\nvec3 unk2\nfloat unk3\nint16 unk4\nbool unk5\n',
+    'should guess primitive types from their values'
+  );
+
+  t.throws(() => infer.inferDefinition([]), /no packets given/, 'should throw without packets');
+  t.throws(
+    () => infer.inferDefinition([packets[0], instance.write(1, 'TEST_STRING', '*', {})]),
+    /same opcode/,
+    'should throw on mixed opcodes'
+  );
+  t.throws(
+    () => infer.inferDefinition([Buffer.from([2, 0]), packets[0]]),
+    /must be complete messages/,
+    'should throw on packets shorter than a header'
+  );
+  t.end();
+});
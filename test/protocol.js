@@ -10,6 +10,10 @@ const logger = require('../lib/logger');
 // we have to be careful with this because the object stores state,
 // and we can't just re-require because node caches modules
 const protocol = require('../lib/protocol');
+const sources = require('../lib/sources');
+const compile = require('../lib/protocol/compiler');
+const { parseDefString } = require('../lib/parsers/def');
+const { parseMapString } = require('../lib/parsers/map');
 
 // helper functions
 function getTestDataPath(dir) {
@@ -127,3 +131,921 @@ test('write', (t) => {
 
   t.end();
 });
+
+test('compile', (t) => {
+  const load = protocol.load(getTestDataPath('protocol-write'));
+  if (!load) t.bailout('could not load protocol-write for testing');
+
+  const definition = protocol.messages.get('TEST_ALL').get(1);
+  t.notOk(definition.compiled, 'should compile definitions lazily');
+
+  const data = spec.both.find(testCase => testCase.args[0] === 'TEST_ALL').object;
+  const buffer = protocol.write(1, 'TEST_ALL', 1, data);
+  const { compiled } = definition;
+  t.ok(compiled, 'should cache compiled definition in messages');
+
+  protocol.parse(1, 'TEST_ALL', 1, buffer);
+  t.equal(definition.compiled, compiled, 'should reuse cached compiled definition');
+
+  t.throws(
+    () => protocol.parse(1, [['bad', 'not_a_type']], null, buffer),
+    /unknown type: not_a_type/,
+    'should throw on unknown types'
+  );
+
+  t.end();
+});
+
+test('strict strings', (t) => {
+  const load = protocol.load(getTestDataPath('protocol-write'));
+  if (!load) t.bailout('could not load protocol-write for testing');
+
+  const data = { string1: '', string2: 'a\ud83d' };
+  const buffer = protocol.write(1, 'TEST_STRING', 1, data);
+
+  t.throws(
+    () => protocol.write(1, 'TEST_STRING', 1, data, { strictStrings: true }),
+    /error writing "string2"[^]*unpaired surrogate U\+D83D at index 1/,
+    'should throw on unpaired surrogates when writing'
+  );
+
+  t.throws(
+    () => protocol.parse(1, 'TEST_STRING', buffer, { strictStrings: true }),
+    /unpaired surrogate U\+D83D at index 1/,
+    'should throw on unpaired surrogates when parsing'
+  );
+
+  t.throws(
+    () => protocol.parse(1, 'TEST_STRING', 1, Buffer.from('0e00030008000a0000006100', 'hex')),
+    /unterminated string at 10/,
+    'should throw on unterminated strings'
+  );
+
+  const valid = { string1: '\ud83d\ude00', string2: 'b' };
+  t.same(
+    protocol.parse(1, 'TEST_STRING', protocol.write(1, 'TEST_STRING', valid), { strictStrings: true }),
+    valid,
+    'should accept surrogate pairs in strict mode'
+  );
+
+  t.end();
+});
+
+test('strict write', (t) => {
+  const load = protocol.load(getTestDataPath('protocol-write'));
+  if (!load) t.bailout('could not load protocol-write for testing');
+
+  for (const testCase of spec.both) {
+    t.same(
+      protocol.write(1, ...testCase.args, testCase.object, { strict: true }),
+      testCase.buffer,
+      `${testCase.it} (strict)`
+    );
+  }
+
+  let error;
+  try {
+    protocol.write(1, 'TEST_ALL', 1, {
+      bool: 'yes',
+      byte: 256,
+      int16: 1.5,
+      int32: 4,
+      int64: Math.pow(2, 60), // eslint-disable-line no-restricted-properties
+      uint16: 7,
+      uint32: -1,
+      uint64: { low: 1, high: 2 },
+      float: 1,
+      object: { property: 13, array: [{ element: 1, nested: { element1: 1 } }, null] },
+      bytes: [1, 2],
+      string: '',
+      array: {},
+      extra: true,
+    }, { strict: true });
+  } catch (err) {
+    error = err;
+  }
+
+  t.ok(error, 'should throw on invalid data');
+  t.same(error.problems.map(p => p.keyPath), [
+    'bool',
+    'byte',
+    'int16',
+    'int64',
+    'uint32',
+    'object.array.0.nested.element2',
+    'object.array.1',
+    'bytes',
+    'array',
+    'extra',
+  ], 'should report every problem by keyPath');
+  t.match(error.message, /TEST_ALL<1>: invalid data \(10 problems\)/, 'should summarize problems');
+  t.match(error.message, /\n {2}byte: out of range \(0 to 255\) for byte, got 256/, 'should list problems in message');
+  t.match(error.message, /\n {2}extra: unknown key/, 'should report unknown keys');
+
+  t.throws(
+    () => protocol.write(1, 'TEST_SIMPLE', 1, {}, { strict: true }),
+    /bool: missing value \(type: bool\)/,
+    'should report missing keys'
+  );
+
+  t.end();
+});
+
+test('partial parse', (t) => {
+  const load = protocol.load(getTestDataPath('protocol-write'));
+  if (!load) t.bailout('could not load protocol-write for testing');
+
+  const warnings = [];
+  const warn = sinon.stub(logger, 'warn').callsFake(fakeLogger(warnings));
+
+  for (const testCase of spec.both) {
+    for (const key of Object.keys(testCase.object)) {
+      t.same(
+        protocol.parse(1, ...testCase.args, testCase.buffer, { fields: [key] }),
+        { [key]: testCase.object[key] },
+        `${testCase.it} (field "${key}")`
+      );
+    }
+
+    const lazy = protocol.parse(1, ...testCase.args, testCase.buffer, { lazy: true });
+    t.same(Object.keys(lazy), Object.keys(testCase.object), `${testCase.it} (lazy keys)`);
+    t.same(lazy, testCase.object, `${testCase.it} (lazy)`);
+  }
+
+  t.same(warnings, [], 'should not warn when jumping to offsets');
+
+  warn.restore();
+
+  // corrupt everything after the fixed fields
+  const { buffer } = spec.both.find(testCase => testCase.args[0] === 'TEST_ALL');
+  const corrupt = Buffer.from(buffer);
+  corrupt.fill(0xFF, 52);
+
+  t.same(
+    protocol.parse(1, 'TEST_ALL', 1, corrupt, { fields: ['int32', 'float'] }),
+    { int32: 4, float: buffer.readFloatLE(48) },
+    'should not decode fields that were not requested'
+  );
+
+  const lazy = protocol.parse(1, 'TEST_ALL', 1, corrupt, { lazy: true });
+  t.equal(lazy.uint16, 7, 'should decode lazy fields on access');
+  lazy.uint16 = 8;
+  t.equal(lazy.uint16, 8, 'should allow overwriting lazy fields');
+
+  t.throws(
+    () => protocol.parse(1, 'TEST_ALL', 1, buffer, { fields: ['nope'] }),
+    /unknown field "nope"/,
+    'should throw on unknown fields'
+  );
+
+  t.end();
+});
+
+test('loadAsync', (t) => {
+  const sync = protocol.createInstance();
+  sync.load(getTestDataPath('protocol-write'));
+
+  const instance = protocol.createInstance();
+  const progress = [];
+  const promise = instance.loadAsync(getTestDataPath('protocol-write'), {
+    concurrency: 2,
+    onProgress: p => progress.push(p),
+  });
+
+  t.throws(
+    () => instance.parse(1, 'TEST_SIMPLE', Buffer.alloc(4)),
+    /not loaded: wait for loadAsync\(\) to finish/,
+    'should throw on lookups before loading finishes'
+  );
+
+  const entries = map => [...map].map(([key, value]) => (
+    [key, (value instanceof Map) ? entries(value) : value]
+  ));
+
+  return promise
+    .then((result) => {
+      t.ok(result, 'should resolve once loaded');
+      t.ok(instance.loaded, 'should mark instance as loaded');
+      t.same(entries(instance.maps), entries(sync.maps), 'should load the same maps as load()');
+      t.same(entries(instance.messages), entries(sync.messages), 'should load the same messages as load()');
+
+      // one map file plus every definition file
+      const total = [...sync.messages.values()].reduce((n, versions) => n + versions.size, 1);
+      t.equal(progress.length, total, 'should report progress for every file');
+      t.same(progress.map(p => p.done), progress.map((p, i) => i + 1), 'should count up progress');
+      t.ok(progress.every(p => p.total === total), 'should report the total file count');
+
+      return instance.loadAsync(getTestDataPath('invalid-directory'));
+    })
+    .then(() => t.fail('should reject on invalid basePath'), (err) => {
+      t.match(err.message, /ENOENT: no such file or directory/, 'should reject on invalid basePath');
+      t.notOk(instance.loading, 'should clear loading state after failure');
+      t.ok(instance.messages.has('TEST_SIMPLE'), 'should keep previous data after failure');
+
+      const failed = protocol.createInstance();
+      failed.load = () => t.fail('should not load synchronously after loadAsync');
+      return failed.loadAsync(getTestDataPath('invalid-directory')).catch((loadError) => {
+        let error;
+        try {
+          failed.parse(1, 'TEST_SIMPLE', Buffer.alloc(4));
+        } catch (lookupError) {
+          error = lookupError;
+        }
+
+        t.match(error && error.message, /^\[protocol\] not loaded: loadAsync\(\) failed: ENOENT/, 'should throw on lookups after loading failed');
+        t.equal(error && error.cause, loadError, 'should attach the load failure');
+      });
+    });
+});
+
+test('sources', (t) => {
+  const warnings = [];
+  const warn = sinon.stub(logger, 'warn').callsFake(fakeLogger(warnings));
+
+  const files = {
+    'map/protocol.1.map': 'TEST_SOURCE 1\nTEST_BROKEN\n',
+    'protocol/TEST_SOURCE.1.def': 'int32 value\nstring text\n',
+    'protocol/nested/TEST_IGNORED.1.def': 'int32 value\n',
+  };
+
+  const instance = protocol.createInstance();
+  t.ok(instance.load(sources.fromObject(files)), 'should load from an object source');
+  t.same([...instance.maps.get(1).name], [['TEST_SOURCE', 1]], 'should load maps from the source');
+  t.same([...instance.messages.keys()], ['TEST_SOURCE'], 'should only list files directly in each directory');
+  t.same(
+    instance.parse(1, 'TEST_SOURCE', '*', instance.write(1, 'TEST_SOURCE', '*', { value: 5, text: 'hi' })),
+    { value: 5, text: 'hi' },
+    'should use definitions loaded from the source'
+  );
+  t.match(warnings[0].message, /malformed line\n {4}at "map\/protocol\.1\.map", line 2/, 'should label warnings with the relative path by default');
+
+  warnings.length = 0;
+  const labelled = Object.assign(sources.fromObject(files), { label: file => `db:${file}` });
+  instance.load(labelled);
+  t.match(warnings[0].message, /at "db:map\/protocol\.1\.map", line 2/, 'should label warnings with source.label()');
+
+  warnings.length = 0;
+  const definition = parseDefString('int32 value\n???\n', 'inline.def');
+  t.same(definition.map(([key, type]) => [key, type]), [['value', 'int32']], 'should parse definitions from a string');
+  t.match(warnings[0].message, /malformed line\n {4}at "inline\.def", line 2/, 'should report the label and line');
+
+  warnings.length = 0;
+  const map = parseMapString('TEST_A 1\nTEST_B x\n');
+  t.same([...map.name], [['TEST_A', 1]], 'should parse maps from a string');
+  t.match(warnings[0].message, /at "<string>", line 2/, 'should use a placeholder label by default');
+
+  const asyncSource = {
+    list: dir => Promise.resolve(sources.fromObject(files).list(dir)),
+    read: file => Promise.resolve(files[file]),
+  };
+
+  t.throws(
+    () => instance.load(asyncSource),
+    /source\.list\(\) is asynchronous; use loadAsync\(\) instead/,
+    'should throw when load() is given an asynchronous source'
+  );
+
+  warn.restore();
+
+  const asyncInstance = protocol.createInstance();
+  return asyncInstance.loadAsync(asyncSource).then(() => {
+    t.ok(asyncInstance.messages.has('TEST_SOURCE'), 'should load asynchronous sources with loadAsync()');
+  });
+});
+
+test('load diagnostics', (t) => {
+  const warn = sinon.stub(logger, 'warn');
+  const instance = protocol.createInstance();
+  const basePath = getTestDataPath('protocol-load');
+
+  const problems = instance.load(basePath, { diagnostics: true });
+  const summary = problems.map(d => [
+    d.severity,
+    d.code,
+    path.relative(basePath, d.file).split(path.sep).join('/'),
+    d.line,
+    d.column,
+  ]);
+
+  t.same(summary, [
+    ['error', 'invalid-filename', 'protocol/NO_VERSION.def', null, null],
+    ['error', 'non-numeric-opcode', 'map/protocol.1.map', 5, 20],
+    ['error', 'malformed-line', 'map/protocol.1.map', 6, 1],
+    ['error', 'malformed-line', 'protocol/TEST_DEF.1.def', 4, 1],
+    ['warning', 'explicit-meta', 'protocol/TEST_DEF.1.def', 17, 1],
+    ['error', 'nesting-too-deep', 'protocol/TEST_DEF.1.def', 21, 1],
+    ['warning', 'unmapped-message', 'protocol/UNMAPPED.1.def', null, null],
+  ], 'should collect every diagnostic in order');
+  t.ok(problems.every(d => typeof d.message === 'string'), 'should include messages');
+  t.ok(instance.messages.has('TEST_DEF'), 'should still load when only collecting diagnostics');
+
+  // `load` refills the same maps, so compare their contents
+  const valid = sources.fromObject({
+    'map/protocol.1.map': 'TEST_SOURCE 1\n',
+    'protocol/TEST_SOURCE.1.def': 'int32 value\n',
+  });
+  const snapshot = () => [[...instance.maps], [...instance.messages]];
+  instance.load(valid);
+  const previous = snapshot();
+  let error;
+  try {
+    instance.load(basePath, { strict: true });
+  } catch (err) {
+    error = err;
+  }
+
+  t.ok(error, 'should throw in strict mode when errors are found');
+  t.match(error.message, /^\[protocol\] load - 5 errors found\n/, 'should count errors');
+  t.match(error.message, /\n {2}.+protocol\.1\.map:5:20: error: non-numeric opcode "HERE" \(non-numeric-opcode\)/, 'should list errors with their location');
+  t.equal(error.diagnostics.length, 7, 'should attach all diagnostics');
+  t.same(snapshot(), previous, 'should keep previous data when strict loading fails');
+
+  t.same(
+    instance.load(sources.fromObject({ 'map/protocol.1.map': 'TEST_SOURCE 1\n' }), { strict: true, diagnostics: true }),
+    [],
+    'should return an empty list when there are no problems'
+  );
+
+  warn.restore();
+
+  return instance.loadAsync(basePath, { diagnostics: true, concurrency: 4 })
+    .then((asyncProblems) => {
+      t.same(asyncProblems, problems, 'should collect the same diagnostics asynchronously');
+      instance.load(valid);
+      return instance.loadAsync(basePath, { strict: true });
+    })
+    .then(() => t.fail('should reject in strict mode'), (err) => {
+      t.match(err.message, /5 errors found/, 'should reject in strict mode when errors are found');
+      t.same(snapshot(), previous, 'should keep previous data when strict async loading fails');
+    });
+});
+
+test('duplicate names and opcodes', (t) => {
+  const warnings = [];
+  const warn = sinon.stub(logger, 'warn').callsFake(fakeLogger(warnings));
+  const contents = [
+    'TEST_A 1',
+    'TEST_B 2',
+    'TEST_A 3', // duplicate name
+    'TEST_C 2', // duplicate opcode
+  ].join('\n');
+  const entries = map => [[...map.name], [...map.code]];
+
+  const problems = [];
+  const last = parseMapString(contents, 'dupes.map', { diagnostics: problems });
+  t.same(entries(last), [
+    [['TEST_A', 3], ['TEST_C', 2]],
+    [[2, 'TEST_C'], [3, 'TEST_A']],
+  ], 'should keep the later mappings by default, removing stale reverse entries');
+  t.same(problems.map(d => [d.severity, d.code, d.line]), [
+    ['warning', 'duplicate-name', 3],
+    ['warning', 'duplicate-opcode', 4],
+  ], 'should report collisions as diagnostics');
+  t.match(problems[0].message, /"TEST_A" \(first mapped to 1 on line 1\)/, 'should mention the earlier line for names');
+  t.match(problems[1].message, /opcode 2 for "TEST_C" \(first used by "TEST_B" on line 2\)/, 'should mention the earlier line for opcodes');
+  t.match(warnings[0].message, /parse warning: duplicate name "TEST_A".+\n {4}at "dupes\.map", line 3/, 'should warn with the later line');
+
+  warnings.length = 0;
+  t.same(entries(parseMapString(contents, 'dupes.map', { duplicates: 'first-wins' })), [
+    [['TEST_A', 1], ['TEST_B', 2]],
+    [[1, 'TEST_A'], [2, 'TEST_B']],
+  ], 'should keep the earlier mappings with first-wins');
+  t.same(entries(parseMapString(contents, 'dupes.map', { duplicates: 'last-wins' })), entries(last), 'should keep the later mappings with last-wins');
+  t.equal(warnings.length, 0, 'should not warn with first-wins or last-wins');
+
+  t.throws(
+    () => parseMapString(contents, 'dupes.map', { duplicates: 'error' }),
+    /parse error: duplicate name "TEST_A" \(first mapped to 1 on line 1\)\n {4}at "dupes\.map", line 3/,
+    'should throw with the error policy'
+  );
+
+  const errors = [];
+  t.same(entries(parseMapString(contents, 'dupes.map', { duplicates: 'error', diagnostics: errors })), [
+    [['TEST_A', 1], ['TEST_B', 2]],
+    [[1, 'TEST_A'], [2, 'TEST_B']],
+  ], 'should skip duplicate lines with the error policy and diagnostics');
+  t.same(errors.map(d => [d.severity, d.code, d.file, d.line]), [
+    ['error', 'duplicate-name', 'dupes.map', 3],
+    ['error', 'duplicate-opcode', 'dupes.map', 4],
+  ], 'should report collisions as errors instead of throwing with diagnostics');
+  t.throws(
+    () => parseMapString(contents, 'dupes.map', { duplicates: 'ignore' }),
+    /unknown duplicates policy "ignore"/,
+    'should throw on unknown policies'
+  );
+
+  const instance = protocol.createInstance();
+  const source = sources.fromObject({ 'map/protocol.1.map': contents });
+  instance.load(source, { duplicates: 'first-wins' });
+  t.equal(instance.maps.get(1).name.get('TEST_A'), 1, 'should pass the policy through load()');
+  t.throws(
+    () => instance.load(source, { duplicates: 'error' }),
+    /duplicate name "TEST_A"/,
+    'should throw from load() with the error policy'
+  );
+  t.throws(
+    () => instance.load(source, { duplicates: 'error', strict: true }),
+    /protocol\.1\.map:3:1: error: duplicate name "TEST_A".+\(duplicate-name\)/,
+    'should fail strict loads with the error policy'
+  );
+  t.same(
+    instance.load(source, { duplicates: 'error', diagnostics: true }).map(d => [d.severity, d.code, d.line]),
+    [['error', 'duplicate-name', 3], ['error', 'duplicate-opcode', 4]],
+    'should return duplicates as errors from load() with diagnostics'
+  );
+
+  warn.restore();
+
+  return instance.loadAsync(source, { duplicates: 'error' })
+    .then(() => t.fail('should reject'), (err) => {
+      t.match(err.message, /duplicate name "TEST_A"/, 'should pass the policy through loadAsync()');
+    });
+});
+
+test('resolveVersion', (t) => {
+  const warnings = [];
+  const warn = sinon.stub(logger, 'warn').callsFake(fakeLogger(warnings));
+
+  const manifest = [
+    { build: 336578, patch: '92.03', protocol: 336578, sysmsg: 92 },
+    { build: 347014, patch: '97.04', protocol: 347014, sysmsg: 97 },
+    { patch: '100.02', sysmsg: 100 },
+    { build: 'nope', protocol: 1 },
+  ];
+  const files = {
+    'map/protocol.1.map': 'TEST_SOURCE 1\n',
+    'versions.json': JSON.stringify(manifest),
+  };
+
+  const instance = protocol.createInstance();
+  const problems = instance.load(sources.fromObject(files), { diagnostics: true });
+
+  t.equal(instance.resolveVersion(347014), 347014, 'should resolve build numbers');
+  t.equal(instance.resolveVersion('92.03'), 336578, 'should resolve patch identifiers');
+  t.equal(instance.resolveVersion({ build: 336578, patch: '92.03' }), 336578, 'should resolve objects');
+  t.equal(
+    instance.resolveVersion({ version: [{ index: 1, value: 5 }, { index: 0, value: 347014 }] }),
+    347014,
+    'should resolve parsed C_CHECK_VERSION messages'
+  );
+
+  t.throws(() => instance.resolveVersion(1), /\[protocol\] resolveVersion - unknown build 1$/, 'should throw on unknown builds');
+  t.throws(() => instance.resolveVersion({ build: 336578, patch: '97.04' }), /unknown build 336578, patch "97\.04"/, 'should require every given field to match');
+  t.throws(() => instance.resolveVersion('100.02'), /no protocol version for patch "100\.02"/, 'should throw if the entry has no protocol version');
+  t.throws(() => instance.resolveVersion(null), TypeError, 'should throw on invalid clientInfo');
+
+  t.same(problems.map(d => [d.code, d.file]), [['invalid-manifest-entry', 'versions.json']], 'should report invalid entries');
+  t.match(warnings[0].message, /entry 3: "build" must be a non-negative integer\n {4}at "versions\.json"/, 'should warn on invalid entries');
+
+  const withoutManifest = protocol.createInstance();
+  withoutManifest.load(sources.fromObject({ 'map/protocol.1.map': 'TEST_SOURCE 1\n' }));
+  t.throws(() => withoutManifest.resolveVersion(336578), /no version manifest loaded/, 'should throw without a manifest');
+
+  warn.restore();
+
+  const asyncInstance = protocol.createInstance();
+  return asyncInstance.loadAsync(sources.fromObject(files)).then(() => {
+    t.equal(asyncInstance.resolveVersion(336578), 336578, 'should load the manifest asynchronously');
+  });
+});
+
+test('describe', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(getTestDataPath('protocol-write'));
+
+  const summarize = fields => fields.map(f => [
+    f.keyPath,
+    f.type,
+    f.meta,
+    f.size,
+    ...(f.children ? [summarize(f.children)] : []),
+  ]);
+
+  const description = instance.describe(1, 'TEST_OBJECT_COMPLEX');
+  t.same(
+    [description.name, description.code, description.version, description.size],
+    ['TEST_OBJECT_COMPLEX', 7, 1, null],
+    'should describe the message'
+  );
+  t.same(summarize(description.fields), [
+    ['obj.str', 'offset', true, 2],
+    ['obj.arr', 'count', true, 2],
+    ['obj.arr', 'offset', true, 2],
+    ['str', 'offset', true, 2],
+    ['arr', 'count', true, 2],
+    ['arr', 'offset', true, 2],
+    ['int', 'int16', false, 2],
+    ['obj', 'object', false, null, [
+      ['obj.str', 'string', false, null],
+      ['obj.arr', 'array', false, null, [['obj.arr.int', 'int16', false, 2]]],
+    ]],
+    ['str', 'string', false, null],
+    ['arr', 'array', false, null, [['arr.int', 'int16', false, 2]]],
+  ], 'should describe every field, including metadata');
+  t.same(description.fields[1].name, 'arr', 'should name metadata after the field it describes');
+
+  const fixed = instance.describe(1, 9);
+  t.equal(fixed.size, compile(instance.messages.get('TEST_FIXED').get(1)).length({}), 'should compute fixed sizes');
+  t.same(instance.describe(1, 'TEST_VERSIONS', 1).fields.map(f => f.name), ['byte'], 'should describe older versions');
+
+  t.same(instance.listMessages().slice(0, 3), ['TEST_ALL', 'TEST_ARRAY', 'TEST_BYTES'], 'should list message names in order');
+  t.same(instance.listVersions('TEST_VERSIONS'), [1, 2], 'should list definition versions');
+  t.same(instance.listVersions('TEST_MISSING'), [], 'should return no versions for unknown messages');
+  t.end();
+});
+
+test('parse report', (t) => {
+  const warn = sinon.stub(logger, 'warn');
+  const instance = protocol.createInstance();
+  instance.load(getTestDataPath('protocol-write'));
+
+  const simple = instance.write(1, 'TEST_SIMPLE', '*', {});
+  const clean = instance.parse(1, 'TEST_SIMPLE', simple, { report: true });
+  t.same(clean[instance.REPORT], {
+    bytesRemaining: 0,
+    skipped: [],
+    offsetCorrections: [],
+    countMismatches: [],
+    unknownValues: [],
+  }, 'should attach an empty report for clean messages');
+  t.notOk(Object.keys(clean).includes(instance.REPORT), 'should not make the report enumerable');
+  t.same(instance.parse(1, 'TEST_SIMPLE', simple, { strict: true }), instance.parse(1, 'TEST_SIMPLE', simple), 'should not throw in strict mode for clean messages');
+  t.equal(instance.parse(1, 'TEST_SIMPLE', simple)[instance.REPORT], undefined, 'should not attach a report by default');
+
+  // trailing bytes
+  const trailing = Buffer.concat([simple, Buffer.from([1, 2, 3])]);
+  t.equal(instance.parse(1, 'TEST_SIMPLE', trailing, { report: true })[instance.REPORT].bytesRemaining, 3, 'should report trailing bytes');
+
+  // junk between the two strings, with `string2`'s offset pointing past it
+  const strings = instance.write(1, 'TEST_STRING', '*', { string1: 'a', string2: 'b' });
+  const junk = Buffer.from([0xFF, 0xFF]);
+  const shifted = Buffer.concat([strings.slice(0, 12), junk, strings.slice(12)]);
+  shifted.writeUInt16LE(shifted.length, 0);
+  shifted.writeUInt16LE(14, 6);
+  const shiftedReport = instance.parse(1, 'TEST_STRING', shifted, { report: true })[instance.REPORT];
+  t.same(shiftedReport.offsetCorrections, [{ keyPath: 'string2', position: 12, expected: 14 }], 'should report offset corrections');
+  t.same(shiftedReport.skipped, [{ start: 12, end: 14 }], 'should report skipped regions');
+
+  // claim one more element than there is
+  const array = instance.write(1, 'TEST_ARRAY', '*', { arr: [{ int: 1, byte: 2 }, { int: 3, byte: 4 }] });
+  array.writeUInt16LE(3, 4);
+  const arrayReport = instance.parse(1, 'TEST_ARRAY', array, { report: true })[instance.REPORT];
+  t.same(arrayReport.countMismatches, [{ keyPath: 'arr', expected: 3, found: 2 }], 'should report array count mismatches');
+
+  let error;
+  try {
+    instance.parse(1, 'TEST_STRING', shifted, { strict: true });
+  } catch (err) {
+    error = err;
+  }
+  t.ok(error, 'should throw in strict mode when there are anomalies');
+  t.match(error.message, /^\[protocol\] parse - TEST_STRING<1>: 2 anomalies found\n {2}skipped 2 bytes at 12\n {2}offset correction for "string2" at 12 \(expected 14\)$/, 'should list anomalies');
+  t.same(error.report, shiftedReport, 'should attach the report to the error');
+
+  t.throws(() => instance.parse(1, 'TEST_SIMPLE', trailing, { strict: true }), /3 bytes remaining at 22/, 'should throw on trailing bytes');
+
+  warn.restore();
+  t.end();
+});
+
+test('toJSON and fromJSON', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(getTestDataPath('protocol-write'));
+
+  const data = {
+    int64: '-9007199254740993',
+    uint64: '18446744073709551615',
+    object: { property: 1, array: [{ element: 2, nested: { element1: 3, element2: 4 } }] },
+    bytes: 'deadbeef',
+    string: 'hi',
+    array: [{ element: 5, string: 'x', nested: [{ element1: 6, element2: 7, string: 'y' }] }],
+  };
+  const buffer = instance.write(1, 'TEST_ALL', instance.fromJSON(1, 'TEST_ALL', data));
+  const parsed = instance.parse(1, 'TEST_ALL', buffer);
+  const json = instance.toJSON(1, 'TEST_ALL', parsed);
+
+  t.equal(json.int64, data.int64, 'should write int64 as a decimal string');
+  t.equal(json.uint64, data.uint64, 'should write uint64 as a decimal string');
+  t.equal(json.bytes, data.bytes, 'should write bytes as hex');
+  t.same(JSON.parse(JSON.stringify(json)), json, 'should survive JSON.stringify');
+  t.same(instance.write(1, 'TEST_ALL', instance.fromJSON(1, 'TEST_ALL', json)), buffer, 'should round-trip');
+  t.same(json.array, data.array, 'should convert nested arrays');
+
+  const base64 = instance.toJSON(1, 'TEST_ALL', 1, parsed, { bytes: 'base64' });
+  t.equal(base64.bytes, '3q2+7w==', 'should write bytes as base64');
+  t.same(instance.fromJSON(1, 'TEST_ALL', base64, { bytes: 'base64' }).bytes, Buffer.from('deadbeef', 'hex'), 'should read base64 bytes');
+  t.same(instance.toJSON(1, 'TEST_LONG', { long: 5, ulong: { low: -1, high: 0 } }), { long: '5', ulong: '4294967295' }, 'should accept numbers and high/low objects');
+
+  t.throws(() => instance.fromJSON(1, 'TEST_LONG', { ulong: '-1' }), /\[protocol\] fromJSON - TEST_LONG<1>: ulong: expected a decimal string/, 'should reject negative uint64');
+  t.throws(() => instance.fromJSON(1, 'TEST_LONG', { long: '9223372036854775808' }), /long: out of range for int64/, 'should reject out of range values');
+  t.throws(() => instance.fromJSON(1, 'TEST_ALL', { bytes: 'xyz' }), /bytes: expected a hex string/, 'should reject invalid hex');
+  t.throws(() => instance.fromJSON(1, 'TEST_ALL', { array: [{ nested: {} }] }), /array\.0\.nested: expected an array/, 'should name nested key paths');
+  t.throws(() => instance.toJSON(1, 'TEST_ALL', parsed, { bytes: 'utf8' }), /unknown bytes encoding "utf8"/, 'should reject unknown encodings');
+  t.end();
+});
+
+test('default and constant values', (t) => {
+  const warn = sinon.stub(logger, 'warn');
+  const def = [
+    'const uint16 version 3',
+    'int32 unk 1',
+    'string name "a # b" # comment',
+    'int64 id -5',
+    'array items',
+    '- const bool ok true',
+    '- float scale 1.5',
+  ].join('\n');
+
+  const definition = parseDefString(def);
+  t.same(
+    definition.filter(field => field.length > 2).map(([key, , value]) => [key, value]),
+    [['version', { constant: 3 }], ['unk', { default: 1 }], ['name', { default: 'a # b' }], ['id', { default: '-5' }]],
+    'should parse default and constant values'
+  );
+  t.same(
+    definition.find(([key, type]) => key === 'items' && Array.isArray(type))[1].slice(),
+    [['ok', 'bool', { constant: true }], ['scale', 'float', { default: 1.5 }]],
+    'should parse values of nested fields'
+  );
+
+  const problems = [];
+  parseDefString('byte a 256\nconst int32 b\nvec3 c 1\nstring d x\n', 'values.def', { diagnostics: problems });
+  t.same(
+    problems.map(d => [d.code, d.line, d.message]),
+    [
+      ['invalid-value', 1, 'invalid value for "a": out of range for byte (0 to 255)'],
+      ['invalid-value', 2, 'invalid value for "b": missing constant value'],
+      ['invalid-value', 3, 'invalid value for "c": vec3 fields cannot have a default or constant value'],
+      ['invalid-value', 4, 'invalid value for "d": expected a double-quoted string'],
+    ],
+    'should report invalid values'
+  );
+
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_VALUES 1\n',
+    'protocol/TEST_VALUES.1.def': def,
+  }));
+
+  const buffer = instance.write(1, 'TEST_VALUES', { version: 9, items: [{ ok: false }] });
+  const parsed = instance.parse(1, 'TEST_VALUES', buffer);
+  t.same(
+    [parsed.version, parsed.unk, parsed.name, parsed.id.toString(), parsed.items],
+    [3, 1, 'a # b', '-5', [{ ok: true, scale: 1.5 }]],
+    'should write defaults for missing keys and always write constants'
+  );
+  t.equal(instance.parse(1, 'TEST_VALUES', instance.write(1, 'TEST_VALUES', { unk: 7, name: '' })).unk, 7, 'should prefer given values over defaults');
+  t.same(instance.describe(1, 'TEST_VALUES').fields[3], {
+    name: 'version', type: 'uint16', keyPath: 'version', meta: false, size: 2, children: null, constant: 3,
+  }, 'should describe values');
+
+  t.equal(warn.callCount, 4, 'should only warn about invalid values so far');
+  buffer.writeUInt16LE(4, 10);
+  instance.parse(1, 'TEST_VALUES', buffer);
+  t.match(warn.lastCall.args[0], /TEST_VALUES<1>: constant mismatch for "version" \(expected 3, found 4\)/, 'should warn on constant mismatches');
+
+  t.throws(
+    () => instance.write(1, 'TEST_VALUES', { version: 9, items: [] }, { strict: true }),
+    /version: expected constant 3, got 9/,
+    'should reject other values for constants in strict mode'
+  );
+  t.doesNotThrow(() => instance.write(1, 'TEST_VALUES', { items: [] }, { strict: true }), 'should not require keys with values in strict mode');
+
+  warn.restore();
+  t.end();
+});
+
+test('enums and flags', (t) => {
+  const warn = sinon.stub(logger, 'warn');
+  const instance = protocol.createInstance();
+  const problems = instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_ENUMS 1\n',
+    'protocol/TEST_ENUMS.1.def': [
+      'int32:ChatChannel channel',
+      'uint32:ItemFlags flags',
+      'array items',
+      '- byte:ChatChannel channel',
+      'int16:Missing other',
+    ].join('\n'),
+    'enum/ChatChannel.enum': 'SAY 0\nPARTY 1\nGUILD = 2\nCLAN 2\n',
+    'enum/ItemFlags.flags': 'NONE 0\nBOUND 0x1\nTRADABLE 0x2\nSEALED 0x80000000\n',
+  }), { diagnostics: true });
+
+  t.same(
+    problems.map(d => [d.severity, d.code, d.message]),
+    [['warning', 'unknown-enum', 'undeclared enum "Missing" for "other"']],
+    'should warn about undeclared enums'
+  );
+  t.same(instance.enums.get('ItemFlags').type, 'flags', 'should load flags declarations');
+
+  const data = {
+    channel: 'GUILD',
+    flags: ['BOUND', 'SEALED'],
+    items: [{ channel: 1 }, { channel: 'SAY' }],
+    other: 3,
+  };
+  const buffer = instance.write(1, 'TEST_ENUMS', data);
+  t.equal(data.channel, 'GUILD', 'should not modify the data being written');
+
+  const raw = instance.parse(1, 'TEST_ENUMS', buffer);
+  t.same([raw.channel, raw.flags, raw.items], [2, 0x80000001, [{ channel: 1 }, { channel: 0 }]], 'should accept names and numbers on write, and return numbers by default');
+  t.same(
+    instance.parse(1, 'TEST_ENUMS', buffer, { enums: true }),
+    { channel: 'GUILD', flags: ['BOUND', 'SEALED'], items: [{ channel: 'PARTY' }, { channel: 'SAY' }], other: 3 },
+    'should decode enums and flags on request'
+  );
+  t.same(instance.parse(1, 'TEST_ENUMS', buffer, { enums: true, fields: ['channel'] }), { channel: 'GUILD' }, 'should decode partial reads');
+  t.same(instance.describe(1, 'TEST_ENUMS').fields[2].enum, 'ChatChannel', 'should describe enum fields');
+
+  warn.resetHistory();
+  const unknown = instance.write(1, 'TEST_ENUMS', { channel: 9, flags: 0x14, items: [] });
+  const decoded = instance.parse(1, 'TEST_ENUMS', unknown, { enums: true, report: true });
+  t.same([decoded.channel, decoded.flags], [9, [0x14]], 'should keep unknown values as numbers');
+  t.same(decoded[instance.REPORT].unknownValues, [
+    { keyPath: 'channel', enum: 'ChatChannel', value: 9 },
+    { keyPath: 'flags', enum: 'ItemFlags', value: 0x14 },
+  ], 'should report unknown values');
+  t.match(warn.firstCall.args[0], /TEST_ENUMS<1>: unknown ChatChannel value 9 for "channel"/, 'should warn about unknown values');
+  t.throws(() => instance.parse(1, 'TEST_ENUMS', unknown, { strict: true }), /unknown ItemFlags value 20 for "flags"/, 'should throw on unknown values in strict mode');
+
+  t.throws(() => instance.write(1, 'TEST_ENUMS', { channel: 'WHISPER' }), /\[protocol\] write - TEST_ENUMS<1>: channel: unknown ChatChannel value "WHISPER"/, 'should throw on unknown names');
+  t.throws(() => instance.write(1, 'TEST_ENUMS', { other: 'X' }), /other: unknown enum "Missing"/, 'should throw on names for undeclared enums');
+
+  warn.restore();
+  t.end();
+});
+
+test('conditional fields', (t) => {
+  const warn = sinon.stub(logger, 'warn');
+  const def = [
+    'int32 level',
+    'bool hasGuild',
+    'string guildName if hasGuild',
+    'int32 rank if hasGuild and level >= 10',
+    'int32 title if protocol >= 2',
+    'array buffs if protocol >= 2',
+    '- uint16 id',
+    '- int32 stacks if id != 0',
+  ].join('\n');
+
+  const definition = parseDefString(def);
+  t.same(
+    definition.filter(field => field.length > 2).map(([key, , { when }]) => [key, when]),
+    [
+      ['buffs', [{ subject: 'protocol', op: '>=', value: 2 }]],
+      ['buffs', [{ subject: 'protocol', op: '>=', value: 2 }]],
+      ['guildName', [{ subject: 'field', key: 'hasGuild', op: '!=', value: false }]],
+      ['rank', [
+        { subject: 'field', key: 'hasGuild', op: '!=', value: false },
+        { subject: 'field', key: 'level', op: '>=', value: 10 },
+      ]],
+      ['title', [{ subject: 'protocol', op: '>=', value: 2 }]],
+      ['buffs', [{ subject: 'protocol', op: '>=', value: 2 }]],
+    ],
+    'should parse conditions, and share version conditions with metadata'
+  );
+
+  const problems = [];
+  parseDefString('int32 a if b\nstring s\nint32 b if s\nint32 c if a =\nint32 d if protocol >= x\n', 'conditions.def', { diagnostics: problems });
+  t.same(
+    problems.map(d => [d.code, d.line, d.column, d.message]),
+    [
+      ['invalid-condition', 1, 12, 'invalid condition for "a": unknown field "b" (must be an earlier field of the same level)'],
+      ['invalid-condition', 3, 12, 'invalid condition for "b": cannot test "s" (expected an integer or bool field)'],
+      ['invalid-condition', 4, 12, 'invalid condition for "c": malformed condition "a ="'],
+      ['invalid-condition', 5, 12, 'invalid condition for "d": expected "protocol <op> <version>", got "protocol >= x"'],
+    ],
+    'should report invalid conditions'
+  );
+
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_CONDITIONS 1\nTEST_VALUED 2\n',
+    'map/protocol.2.map': 'TEST_CONDITIONS 1\n',
+    'protocol/TEST_CONDITIONS.1.def': def,
+    'protocol/TEST_VALUED.1.def': 'const int32 kind 1\nint32 flag 2\nint32 a if kind == 1\nint32 b if flag == 2\n',
+  }));
+
+  const data = {
+    level: 12,
+    hasGuild: true,
+    guildName: 'guild',
+    rank: 3,
+    title: 5,
+    buffs: [{ id: 0 }, { id: 7, stacks: 2 }],
+  };
+
+  const old = instance.write(1, 'TEST_CONDITIONS', data);
+  t.same(
+    instance.parse(1, 'TEST_CONDITIONS', old, { strict: true }),
+    { level: 12, hasGuild: true, guildName: 'guild', rank: 3 },
+    'should leave out fields of other protocol versions'
+  );
+  t.equal(old.length, 4 + compile(instance.resolveIdentifier(1, 'TEST_CONDITIONS').definition).length(data), 'should compute the length for a protocol version');
+
+  const buffer = instance.write(2, 'TEST_CONDITIONS', data, { strict: true });
+  t.same(instance.parse(2, 'TEST_CONDITIONS', buffer, { strict: true }), data, 'should read fields whose conditions hold');
+  t.same(instance.parse(2, 'TEST_CONDITIONS', buffer, { fields: ['rank', 'title'] }), { rank: 3, title: 5 }, 'should read selected fields');
+
+  const guildless = instance.write(2, 'TEST_CONDITIONS', { level: 3, guildName: 'x', title: 1 });
+  t.same(
+    instance.parse(2, 'TEST_CONDITIONS', guildless, { strict: true }),
+    { level: 3, hasGuild: false, title: 1, buffs: [] },
+    'should skip fields whose conditions fail'
+  );
+  t.equal(guildless.length, 4 + 6 + 4 + 1 + 4, 'should not write skipped fields or their metadata values');
+  t.notMatch(instance.dump(2, 'TEST_CONDITIONS', guildless), /unread|error/, 'should dump conditional fields');
+
+  t.throws(
+    () => instance.write(2, 'TEST_CONDITIONS', { level: 3, hasGuild: false, guildName: 'x', title: 1, buffs: [] }, { strict: true }),
+    /guildName: unexpected value \(only written if hasGuild\)/,
+    'should reject values for skipped fields in strict mode'
+  );
+  t.doesNotThrow(
+    () => instance.write(2, 'TEST_CONDITIONS', { level: 3, hasGuild: false, title: 1, buffs: [] }, { strict: true }),
+    'should not require values for skipped fields in strict mode'
+  );
+
+  const valued = instance.write(1, 'TEST_VALUED', { a: 5, b: 6 }, { strict: true });
+  t.equal(valued.length, 4 + (4 * 4), 'should test constants and defaults when writing');
+  t.same(instance.parse(1, 'TEST_VALUED', valued), { kind: 1, flag: 2, a: 5, b: 6 }, 'should test constants and defaults when reading');
+  t.throws(
+    () => instance.write(1, 'TEST_VALUED', { flag: 0, a: 5, b: 6 }, { strict: true }),
+    /b: unexpected value \(only written if flag == 2\)/,
+    'should test given values over defaults in strict mode'
+  );
+
+  const described = instance.describe(1, 'TEST_CONDITIONS');
+  t.same(described.fields.map(field => field.name), ['guildName', 'level', 'hasGuild', 'guildName', 'rank'], 'should describe the fields of a protocol version');
+  t.same([described.fields[4].size, described.fields[4].when.length], [null, 2], 'should describe conditions');
+
+  t.equal(warn.callCount, 4, 'should only warn about invalid conditions');
+  warn.restore();
+  t.end();
+});
+
+test('inline arrays', (t) => {
+  const warn = sinon.stub(logger, 'warn');
+  const def = [
+    'float[3] scale',
+    'int32[] ids',
+    'array items',
+    '- uint16[] counts',
+    '- byte[2] pair',
+  ].join('\n');
+
+  const definition = parseDefString(def);
+  t.same(
+    definition.slice(),
+    [['ids', 'count'], ['ids', 'offset'], ['items', 'count'], ['items', 'offset'], ['scale', 'float[3]'], ['ids', 'int32[]'], ['items', definition[6][1]]],
+    'should add metadata for counted arrays only'
+  );
+  t.same(definition[6][1].slice(), [['counts', 'count'], ['counts', 'offset'], ['counts', 'uint16[]'], ['pair', 'byte[2]']], 'should parse nested inline arrays');
+
+  const problems = [];
+  parseDefString('string[2] a\nint32[0] b\nint32[x] c\nint32[]:Enum d\n', 'arrays.def', { diagnostics: problems });
+  t.same(
+    problems.map(d => [d.code, d.line, d.message]),
+    [
+      ['invalid-array', 1, 'invalid type for "a": cannot make an inline array of string (expected a fixed-size type)'],
+      ['invalid-array', 2, 'invalid type for "b": invalid length 0 for "int32[0]" (expected 1 to 65535)'],
+      ['invalid-array', 3, 'invalid type for "c": malformed array type "int32[x]"'],
+      ['invalid-enum', 4, 'enums can only be used with integer types, not int32[]'],
+    ],
+    'should report invalid array types'
+  );
+
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_INLINE 1\n',
+    'protocol/TEST_INLINE.1.def': def,
+  }));
+
+  const data = {
+    scale: [1.5, -2, 0.25],
+    ids: [7, -1, 100000],
+    items: [{ counts: [1, 2], pair: [3, 4] }, { counts: [], pair: [5, 6] }],
+  };
+  const buffer = instance.write(1, 'TEST_INLINE', data, { strict: true });
+  t.equal(buffer.length, 4 + 8 + 12 + 12 + (2 * (4 + 4 + 2)) + 4, 'should write inline arrays without element headers');
+  t.same(instance.parse(1, 'TEST_INLINE', buffer, { strict: true }), data, 'should read inline arrays');
+  t.same(instance.parse(1, 'TEST_INLINE', buffer, { fields: ['items'] }).items, data.items, 'should skip inline arrays');
+  t.same(instance.parse(1, 'TEST_INLINE', instance.write(1, 'TEST_INLINE', { scale: [1] })), { scale: [1, 0, 0], ids: [], items: [] }, 'should pad fixed arrays with zeros');
+  t.same(instance.fromJSON(1, 'TEST_INLINE', instance.toJSON(1, 'TEST_INLINE', data)), data, 'should convert inline arrays to and from JSON');
+  t.match(instance.dump(1, 'TEST_INLINE', buffer), /ids \(int32\[\]\) = \[ 7, -1, 100000 \]/, 'should dump inline arrays');
+  t.same(
+    instance.describe(1, 'TEST_INLINE').fields.slice(4, 6).map(({ type, size }) => [type, size]),
+    [['float[3]', 12], ['int32[]', null]],
+    'should describe inline arrays'
+  );
+
+  t.throws(
+    () => instance.write(1, 'TEST_INLINE', { scale: [1, 2], ids: [1.5], items: [] }, { strict: true }),
+    /scale: expected 3 elements, got 2\n.*ids\.0: expected an integer for int32, got 1\.5/,
+    'should validate inline arrays in strict mode'
+  );
+
+  t.equal(warn.callCount, 4, 'should only warn about invalid array types');
+  warn.restore();
+  t.end();
+});
@@ -0,0 +1,79 @@
+const { test } = require('tap');
+const Long = require('long');
+
+const protocol = require('../lib/protocol');
+const sources = require('../lib/sources');
+const { compileQuery } = require('../lib/protocol/query');
+
+const instance = protocol.createInstance();
+instance.load(sources.fromObject({
+  'map/protocol.1.map': 'TEST_QUERY 1\nTEST_OTHER 2\n',
+  'enum/ChatChannel.enum': 'SAY 0\nPARTY 1\nGUILD 2\n',
+  'protocol/TEST_QUERY.1.def': [
+    'uint64 gameId',
+    'int32 skill',
+    'uint32:ChatChannel channel',
+    'vec3 loc',
+    'string name',
+    'bool moving',
+    'int16[] ids',
+    'array targets',
+    '- uint64 gameId',
+    '- int32 damage',
+  ].join('\n'),
+  'protocol/TEST_OTHER.1.def': 'int32 skill\n',
+}));
+
+const data = {
+  gameId: Long.fromString('18446744073709551615', true),
+  skill: 1101,
+  channel: 2,
+  loc: { x: 1.5, y: -2, z: 0 },
+  name: 'Abc',
+  moving: false,
+  ids: [3, 4],
+  targets: [
+    { gameId: Long.fromNumber(5, true), damage: 100 },
+    { gameId: Long.fromNumber(6, true), damage: 250 },
+  ],
+};
+
+// tests
+test('compileQuery', (t) => {
+  const matches = expression => compileQuery(expression).test(data);
+
+  t.ok(matches('skill == 1101'), 'should compare numbers');
+  t.ok(matches('skill in [1100, 1101] and name == "Abc"'), 'should combine comparisons');
+  t.ok(matches('skill < 0 or not moving'), 'should support or and not');
+  t.notOk(matches('not (skill >= 1101 and loc.x > 1)'), 'should support parentheses and nested paths');
+  t.ok(matches('gameId == 18446744073709551615 and gameId > 0xfffffffffffffffe'), 'should compare 64-bit values exactly');
+  t.ok(matches('ids.1 == 4 and targets.0.damage == 100'), 'should follow array indices');
+  t.ok(matches('targets.*.damage > 200'), 'should match if any element matches');
+  t.notOk(matches('targets.*.damage > 300'), 'should not match if no element matches');
+  t.ok(matches('ids and not missing.key and missing.key != 1'), 'should treat missing values as false');
+  t.notOk(matches('name == 1'), 'should not match values of other types');
+
+  t.same(compileQuery('skill > 1 and targets.*.damage and loc.x < 2').keys, ['skill', 'targets', 'loc'], 'should list the top level keys used');
+
+  t.throws(() => compileQuery('skill =='), /expected a number, string, true or false, found end of expression/, 'should throw on incomplete expressions');
+  t.throws(() => compileQuery('skill == 1 skill'), /expected "and", "or" or end of expression, found "skill" at position 11/, 'should throw on trailing tokens');
+  t.throws(() => compileQuery('skill = 1'), /unexpected "=" at position 6/, 'should throw on unknown characters');
+  t.end();
+});
+
+test('createQuery', (t) => {
+  const query = instance.createQuery(1, 'TEST_QUERY', 'channel == "GUILD" and targets.*.gameId == 6');
+  t.same([query.name, query.code, query.version, query.keys], ['TEST_QUERY', 1, 1, ['channel', 'targets']], 'should resolve the message');
+  t.ok(query.test(data), 'should look up enum names');
+
+  const buffer = instance.write(1, 'TEST_QUERY', data);
+  t.ok(query.testBuffer(buffer), 'should match raw messages');
+  t.notOk(query.testBuffer(instance.write(1, 'TEST_QUERY', Object.assign({}, data, { channel: 1 }))), 'should not match other raw messages');
+  t.notOk(instance.createQuery(1, 'TEST_QUERY', 1, 'skill == 1').testBuffer(instance.write(1, 'TEST_OTHER', { skill: 1 })), 'should not match other opcodes');
+
+  t.throws(() => instance.createQuery(1, 'TEST_QUERY', 'skil == 1'), /\[protocol\] query - TEST_QUERY<1>: unknown field "skil"/, 'should throw on unknown fields');
+  t.throws(() => instance.createQuery(1, 'TEST_QUERY', 'targets.damage > 1'), /unknown field "targets.damage" \(expected an index or \* after "targets"\)/, 'should require an index for arrays');
+  t.throws(() => instance.createQuery(1, 'TEST_QUERY', 'skill.x == 1'), /unknown field "skill.x" \("skill" has no fields\)/, 'should not look into primitives');
+  t.throws(() => instance.createQuery(1, 'TEST_QUERY', 'channel == "WHISPER"'), /unknown ChatChannel value "WHISPER"/, 'should throw on unknown enum names');
+  t.end();
+});
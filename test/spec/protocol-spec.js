@@ -94,6 +94,26 @@ module.exports = {
       },
     },
 
+    {
+      it: 'should correctly handle strings with surrogate pairs',
+      args: ['TEST_STRING', 1],
+      buffer: Buffer.from('1a00030008000a0000003dd800de20003cd8c8df3cd8fbdf0000', 'hex'),
+      object: {
+        string1: '',
+        string2: '\ud83d\ude00 \ud83c\udfc8\ud83c\udffb',
+      },
+    },
+
+    {
+      it: 'should preserve unpaired surrogates in strings',
+      args: ['TEST_STRING', 1],
+      buffer: Buffer.from('1200030008000c0000dc000061003dd80000', 'hex'),
+      object: {
+        string1: '\udc00',
+        string2: 'a\ud83d',
+      },
+    },
+
     {
       it: 'should correctly handle simple objects',
       args: ['TEST_OBJECT_SIMPLE', 1],
@@ -173,6 +193,17 @@ module.exports = {
       },
     },
 
+    {
+      it: 'should correctly handle int8, double and vec3 types',
+      args: ['TEST_FIXED', 1],
+      buffer: Buffer.from('19000900fe38df06000000f03f0000c03f000010c000004040', 'hex'),
+      object: {
+        int8: -2,
+        double: 1.0000000001,
+        vec3: { x: 1.5, y: -2.25, z: 3 },
+      },
+    },
+
     {
       it: 'should correctly handle a definition containing all types',
       args: ['TEST_ALL', 1],
@@ -260,5 +291,12 @@ module.exports = {
       buffer: Buffer.from('3a00e803000000003800000038000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000', 'hex'),
       object: {},
     },
+
+    {
+      it: 'should use default values for missing fixed-width properties',
+      args: ['TEST_FIXED', 1],
+      buffer: Buffer.from('19000900000000000000000000000000000000000000000000', 'hex'),
+      object: {},
+    },
   ],
 };
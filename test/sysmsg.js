@@ -4,6 +4,7 @@ const path = require('path');
 // we have to be careful with this because the object stores state,
 // and we can't just re-require because node caches modules
 const sysmsg = require('../lib/sysmsg');
+const sources = require('../lib/sources');
 
 // helper functions
 function getTestDataPath(dir) {
@@ -44,3 +45,107 @@ test('load', (t) => {
 
   t.end();
 });
+
+test('loadAsync', (t) => {
+  const progress = [];
+
+  return sysmsg.loadAsync(getTestDataPath('sysmsg'), { onProgress: p => progress.push(p) })
+    .then((result) => {
+      t.ok(result, 'should resolve once loaded');
+      t.same(sysmsg.maps.get(1).name.get('SMT_TEST'), 1, 'should load sysmsg map');
+      t.same(progress.map(p => p.done), [1], 'should report progress');
+    });
+});
+
+test('sources', (t) => {
+  const instance = sysmsg.createInstance();
+  instance.load(sources.fromObject({ 'map/sysmsg.2.map': 'SMT_SOURCE 7\n' }));
+
+  t.same([...instance.maps.keys()], [2], 'should load maps from an object source');
+  t.same(instance.maps.get(2).name.get('SMT_SOURCE'), 7, 'should parse maps read from the source');
+  t.end();
+});
+
+test('load diagnostics', (t) => {
+  const instance = sysmsg.createInstance();
+  const files = {
+    'map/sysmsg.1.map': 'SMT_TEST 1\nSMT_BROKEN x\n',
+    'map/sysmsg.x.map': '',
+  };
+
+  const problems = instance.load(sources.fromObject(files), { diagnostics: true });
+  t.same(
+    problems.map(d => [d.severity, d.code, d.file, d.line, d.column]),
+    [
+      ['error', 'invalid-filename', 'map/sysmsg.x.map', null, null],
+      ['error', 'non-numeric-opcode', 'map/sysmsg.1.map', 2, 12],
+    ],
+    'should collect diagnostics'
+  );
+
+  t.throws(
+    () => instance.load(sources.fromObject(files), { strict: true }),
+    /\[sysmsg\] load - 2 errors found/,
+    'should throw in strict mode'
+  );
+  t.end();
+});
+
+test('parse and build', (t) => {
+  const instance = sysmsg.createInstance();
+  instance.load(getTestDataPath('sysmsg'));
+
+  const cases = [
+    ['@1', { id: 1, name: 'SMT_TEST', tokens: {} }],
+    ['@2\vUserName\vFoo', { id: 2, name: 'SMT_MAX', tokens: { UserName: 'Foo' } }],
+    [
+      '@1\vUserName\vFoo\vItem\v@item:123\vDungeon\v@dungeon:9001\vAmount\v5',
+      {
+        id: 1,
+        name: 'SMT_TEST',
+        tokens: {
+          UserName: 'Foo',
+          Item: { type: 'item', id: 123 },
+          Dungeon: { type: 'dungeon', id: 9001 },
+          Amount: '5',
+        },
+      },
+    ],
+    ['@1\vQuest\v@quest:0012\vEmpty\v', { id: 1, name: 'SMT_TEST', tokens: { Quest: { type: 'quest', id: '0012' }, Empty: '' } }],
+    ['@3\vName\v@', { id: 3, name: null, tokens: { Name: '@' } }],
+  ];
+
+  for (const [str, expected] of cases) {
+    const parsed = instance.parse(1, str);
+    t.same(parsed, expected, `should parse ${JSON.stringify(str)}`);
+    t.equal(instance.build(1, parsed.name || parsed.id, parsed.tokens), str, `should round-trip ${JSON.stringify(str)}`);
+  }
+
+  t.equal(instance.build(1, 'SMT_MAX', { Amount: 5 }), '@2\vAmount\v5', 'should stringify numbers');
+
+  const special = '@1\v__proto__\vFoo\vconstructor\vBar';
+  const { tokens } = instance.parse(1, special);
+  t.same(Object.keys(tokens).map(key => [key, tokens[key]]), [['__proto__', 'Foo'], ['constructor', 'Bar']], 'should keep tokens named like Object properties');
+  t.equal(instance.build(1, 'SMT_TEST', tokens), special, 'should round-trip tokens named like Object properties');
+
+  t.throws(() => instance.parse(1, 'hello'), /not a system message/, 'should throw on non-sysmsg strings');
+  t.throws(() => instance.parse(1, '@1\vUserName'), /token without a value/, 'should throw on a missing token value');
+  t.throws(() => instance.parse(2, '@1'), /no mapping for version 2/, 'should throw on unmapped versions');
+  t.throws(() => instance.build(1, 'SMT_MISSING'), /unmapped name "SMT_MISSING"/, 'should throw on unmapped names');
+  t.throws(() => instance.build(1, 'SMT_TEST', { Name: 'a\vb' }), /SMT_TEST: token "Name": value must not contain/, 'should throw on separators in values');
+  t.throws(() => instance.build(1, 'SMT_TEST', { Item: { id: 1 } }), /references must have a "type" and an "id"/, 'should throw on invalid references');
+  t.end();
+});
+
+test('resolveVersion', (t) => {
+  const instance = sysmsg.createInstance();
+  instance.load(sources.fromObject({
+    'map/sysmsg.92.map': 'SMT_TEST 1\n',
+    'versions.json': JSON.stringify([{ build: 336578, patch: '92.03', protocol: 336578, sysmsg: 92 }]),
+  }));
+
+  t.equal(instance.resolveVersion(336578), 92, 'should resolve the sysmsg version');
+  t.equal(instance.parse(instance.resolveVersion('92.03'), '@1').name, 'SMT_TEST', 'should resolve to a loaded version');
+  t.throws(() => instance.resolveVersion(1), /\[sysmsg\] resolveVersion - unknown build 1/, 'should throw on unknown builds');
+  t.end();
+});
@@ -0,0 +1,73 @@
+const { test } = require('tap');
+const path = require('path');
+
+const protocol = require('../lib/protocol');
+const sources = require('../lib/sources');
+const generateTypings = require('../lib/protocol/typings');
+
+// helper functions
+function getTestDataPath(dir) {
+  return path.join(__dirname, 'fixtures', dir);
+}
+
+// tests
+test('generate', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(getTestDataPath('protocol-write'));
+
+  const typings = generateTypings(instance);
+
+  t.match(typings, /^import Long = require\('long'\);$/m, 'should import Long');
+
+  t.match(
+    typings,
+    /export interface TEST_SIMPLE_v1 \{\n {2}bool: boolean;\n {2}byte: number;\n {2}int16: number;\n {2}int32: number;\n {2}uint16: number;\n {2}uint32: number;\n {2}float: number;\n\}/,
+    'should map primitive types'
+  );
+
+  t.match(typings, /export interface TEST_LONG_v1 \{\n {2}long: Long;\n {2}ulong: Long;\n\}/, 'should map 64-bit types to Long');
+  t.match(typings, /export interface TEST_LONG_v1_Input \{\n {2}long: LongInput;\n {2}ulong: LongInput;\n\}/, 'should accept numbers and { high, low } for 64-bit types in write input');
+  t.match(typings, /^export type LongInput = Long \| number \| \{ high: number; low: number \};$/m, 'should declare 64-bit write input');
+  t.match(typings, /^ {2}TEST_LONG: TEST_LONG_v1_Input;$/m, 'should map names to latest input interfaces');
+  t.match(typings, /^ {2}TEST_SIMPLE: TEST_SIMPLE_v1;$/m, 'should reuse parsed interfaces as input where they are the same');
+  t.notMatch(typings, /TEST_SIMPLE_v1_Input/, 'should not emit input interfaces that are the same as parsed ones');
+  t.match(typings, /export interface TEST_BYTES_v1 \{\n {2}buf1: Buffer;/, 'should map bytes to Buffer');
+  t.match(typings, /export interface TEST_FIXED_v1 \{[^}]*vec3: Vec3;/, 'should map vec3 to Vec3');
+
+  t.match(typings, /^ {2}object: TEST_ALL_v1_object;$/m, 'should reference nested object interfaces');
+  t.match(typings, /^ {2}array: TEST_ALL_v1_object_array\[\];$/m, 'should reference nested array interfaces');
+  t.match(typings, /export interface TEST_ALL_v1_object_array_nested \{/, 'should emit deeply nested interfaces');
+  t.notMatch(typings, /offset|count/, 'should not emit metadata fields');
+
+  t.match(
+    typings,
+    /^ {2}TEST_VERSIONS: \{ 1: TEST_VERSIONS_v1; 2: TEST_VERSIONS_v2; \};$/m,
+    'should map every definition version'
+  );
+
+  t.match(typings, /^ {2}TEST_VERSIONS: TEST_VERSIONS_v2;$/m, 'should map names to the latest version');
+  t.match(typings, /export interface TypedProtocol \{/, 'should emit typed parse/write overloads');
+
+  t.end();
+});
+
+test('enums', (t) => {
+  const instance = protocol.createInstance();
+  instance.load(sources.fromObject({
+    'map/protocol.1.map': 'TEST_ENUMS 1\n',
+    'enum/ChatChannel.enum': 'SAY 0\nPARTY 1\n',
+    'enum/ItemFlags.flags': 'BOUND 0x1\nTRADABLE 0x2\n',
+    'protocol/TEST_ENUMS.1.def': 'uint32:ChatChannel channel\nuint32:ItemFlags flags\nint32:Missing other\n',
+  }));
+
+  const typings = generateTypings(instance);
+
+  t.match(typings, /^export type ChatChannel = "SAY" \| "PARTY";$/m, 'should emit enum names as unions');
+  t.match(typings, /^export type ItemFlags = "BOUND" \| "TRADABLE";$/m, 'should emit flags names as unions');
+  t.match(typings, /^ {2}channel: number \| ChatChannel;$/m, 'should type enum fields as names or numbers');
+  t.match(typings, /^ {2}flags: number \| Array<ItemFlags \| number>;$/m, 'should type flags fields as arrays of names');
+  t.match(typings, /^ {2}flags: number \| ItemFlags \| Array<ItemFlags \| number>;$/m, 'should accept single names for flags in write input');
+  t.match(typings, /^ {2}other: number;$/m, 'should type fields of undeclared enums as numbers');
+
+  t.end();
+});